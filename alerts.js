@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+const calendar = require('./calendar');
+
+// Price-level alerts. Each poll quotes every ticker with a live level - key
+// levels on today's watchlist, key levels and invalidations on active
+// narratives - and fires when price has crossed a level since the last price
+// seen. The last price is stored, so a crossing between two separate runs
+// still fires, and every fired level is recorded so it never fires again.
+//
+// Sinks are anything with `async send(alert)`; a failing sink is reported
+// and skipped, it never stops the loop.
+
+// Terminal bell plus the message on stdout
+class BellSink {
+  constructor(stream = process.stdout) {
+    this.name = 'bell';
+    this.stream = stream;
+  }
+
+  async send(alert) {
+    this.stream.write(`\x07${alert.message}\n`);
+  }
+}
+
+// Desktop notification through a command: notify-send by default, or any
+// command that takes a title and message as its last two arguments
+class CommandSink {
+  constructor(command = 'notify-send') {
+    this.name = 'notify';
+    [this.file, ...this.args] = command.split(/\s+/).filter(Boolean);
+  }
+
+  send(alert) {
+    return new Promise((resolve, reject) => {
+      execFile(this.file, [...this.args, `Horsey: ${alert.ticker}`, alert.message], { timeout: 10000 }, (error) => {
+        if (error) reject(new Error(`${this.file} failed: ${error.message}`));
+        else resolve();
+      });
+    });
+  }
+}
+
+// POST the alert as JSON. `text` carries the message so Slack/Discord-style
+// incoming webhooks show it as-is.
+class WebhookSink {
+  constructor(url) {
+    this.name = 'webhook';
+    this.url = url;
+  }
+
+  async send(alert) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: alert.message, content: alert.message, alert }),
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) {
+      throw new Error(`webhook returned ${response.status}`);
+    }
+  }
+}
+
+// Append one line per alert
+class LogFileSink {
+  constructor(file) {
+    this.name = 'log';
+    this.file = file;
+  }
+
+  async send(alert) {
+    fs.appendFileSync(this.file, `${alert.fired_at}\t${alert.ticker}\t${alert.message}\n`);
+  }
+}
+
+function formatLevel(value) {
+  return `$${Number(value).toFixed(2)}`;
+}
+
+class HorseyAlerts {
+  // `quotes` is a quote provider (see quotes.js). `trigger` flips a
+  // watchlist item to triggered when one of its levels breaks with its bias.
+  constructor(db, quotes, options = {}) {
+    this.db = db;
+    this.quotes = quotes;
+    this.sinks = options.sinks || [];
+    this.trigger = !!options.trigger;
+    this.wake = null;
+    this.stopped = false;
+  }
+
+  // Every level still worth watching, with where it came from
+  async getLevels() {
+    const levels = [];
+
+    const watchlist = await this.db.getWatchlist({ date: 'today', active: true });
+    watchlist.forEach(item => (item.key_levels || []).forEach(level => levels.push({
+      source: 'watchlist', sourceId: item.id, kind: 'level', ticker: item.ticker, level, bias: item.bias,
+      label: `watchlist #${item.id} ${item.setup}`
+    })));
+
+    const narratives = await this.db.getNarratives({ active: true });
+    narratives.forEach(narrative => {
+      const label = `narrative #${narrative.id} (${narrative.direction})`;
+      (narrative.key_levels || []).forEach(level => levels.push({
+        source: 'narrative', sourceId: narrative.id, kind: 'level', ticker: narrative.ticker, level, label
+      }));
+      if (narrative.invalidation !== null && narrative.invalidation !== undefined) {
+        levels.push({
+          source: 'narrative', sourceId: narrative.id, kind: 'invalidation', ticker: narrative.ticker, level: narrative.invalidation, label
+        });
+      }
+    });
+
+    // Levels that already fired are done
+    const fired = new Set((await this.db.all('SELECT source, source_id, kind, level FROM alerts'))
+      .map(a => `${a.source}:${a.source_id}:${a.kind}:${a.level}`));
+    return levels.filter(l => !fired.has(`${l.source}:${l.sourceId}:${l.kind}:${l.level}`));
+  }
+
+  // One pass: quote, compare against the last price, fire what crossed.
+  // The first price ever seen for a ticker falls back to the previous close.
+  async poll() {
+    this.db.startBatch();
+    const levels = await this.getLevels();
+    const tickers = [...new Set(levels.map(l => l.ticker))];
+    if (tickers.length === 0) return { tickers: 0, fired: [] };
+
+    const quotes = await this.quotes.getQuotes(tickers);
+    const fired = [];
+
+    for (const ticker of tickers) {
+      const quote = quotes.get(ticker);
+      if (!quote) continue;
+
+      const last = await this.db.get('SELECT price FROM alert_prices WHERE ticker = ?', [ticker]);
+      const previous = last ? last.price : quote.previousClose;
+      await this.db.run(`
+        INSERT INTO alert_prices (ticker, price, seen_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(ticker) DO UPDATE SET price = excluded.price, seen_at = excluded.seen_at
+      `, [ticker, quote.price]);
+      if (previous === null || previous === undefined) continue;
+
+      for (const level of levels.filter(l => l.ticker === ticker)) {
+        const up = previous < level.level && quote.price >= level.level;
+        const down = previous > level.level && quote.price <= level.level;
+        if (!up && !down) continue;
+
+        const alert = await this.fire(level, up ? 'up' : 'down', quote.price);
+        if (alert) fired.push(alert);
+      }
+    }
+
+    return { tickers: tickers.length, fired };
+  }
+
+  async fire(level, direction, price) {
+    const what = level.kind === 'invalidation' ? 'invalidation' : 'level';
+    const message = `🔔 ${level.ticker} crossed ${direction === 'up' ? 'above' : 'below'} ${what} ${formatLevel(level.level)} @ ${formatLevel(price)} - ${level.label}`;
+
+    // The unique key settles races between overlapping runs
+    const result = await this.db.run(`
+      INSERT OR IGNORE INTO alerts (source, source_id, kind, ticker, level, direction, price, message)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [level.source, level.sourceId, level.kind, level.ticker, level.level, direction, price, message]);
+    if (result.changes === 0) return null;
+
+    const alert = {
+      id: result.lastID,
+      source: level.source,
+      source_id: level.sourceId,
+      kind: level.kind,
+      ticker: level.ticker,
+      level: level.level,
+      direction,
+      price,
+      message,
+      fired_at: calendar.toTimestamp(new Date()),
+      errors: []
+    };
+
+    for (const sink of this.sinks) {
+      try {
+        await sink.send(alert);
+      } catch (error) {
+        alert.errors.push(`${sink.name}: ${error.message}`);
+      }
+    }
+
+    const withBias = level.bias === 'neutral' || (level.bias === 'long' ? direction === 'up' : direction === 'down');
+    if (this.trigger && level.source === 'watchlist' && withBias) {
+      const item = await this.db.get('SELECT status FROM watchlist WHERE id = ?', [level.sourceId]);
+      if (item && item.status === 'watching') {
+        await this.db.updateWatchlistStatus(level.sourceId, 'triggered');
+        alert.triggered = true;
+      }
+    }
+
+    return alert;
+  }
+
+  // Poll every `interval` seconds until stop(). `onPoll` sees each result
+  // (or error) as it happens; a failed poll doesn't end the loop.
+  async run(options = {}) {
+    const { interval = 60, onPoll = () => {} } = options;
+    this.stopped = false;
+
+    while (!this.stopped) {
+      try {
+        onPoll(await this.poll());
+      } catch (error) {
+        onPoll({ error });
+      }
+      if (this.stopped) break;
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, interval * 1000);
+        this.wake = () => { clearTimeout(timer); resolve(); };
+      });
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.wake) this.wake();
+  }
+
+  async getFired(limit = 50) {
+    return await this.db.all('SELECT * FROM alerts ORDER BY fired_at DESC, id DESC LIMIT ?', [limit]);
+  }
+}
+
+module.exports = HorseyAlerts;
+module.exports.BellSink = BellSink;
+module.exports.CommandSink = CommandSink;
+module.exports.WebhookSink = WebhookSink;
+module.exports.LogFileSink = LogFileSink;
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Chart screenshots for trades and journal days. Files are copied into a
+// content-addressed store next to the database (<sha256>.<ext>), so the same
+// image attached twice is stored once and the original can be moved or
+// deleted. Only the metadata lives in the attachments table.
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+// JPEG start-of-frame markers that carry the image dimensions
+const JPEG_SOF = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+// Sniff the format from magic bytes rather than trusting the extension
+function readImageInfo(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { ext: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return { ext: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8X') {
+      return { ext: 'webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { ext: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    return { ext: 'webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) break;
+      const marker = buffer[offset + 1];
+      if (JPEG_SOF.includes(marker)) {
+        return { ext: 'jpg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return { ext: 'jpg', width: null, height: null };
+  }
+
+  return null;
+}
+
+class HorseyAttachments {
+  constructor(db, storeDir = null) {
+    this.db = db;
+    this.storeDir = storeDir || path.join(path.dirname(db.path), 'attachments');
+  }
+
+  filePath(attachment) {
+    return path.join(this.storeDir, attachment.file_name);
+  }
+
+  // Copy `imagePath` into the store and link it to a trade or journal day.
+  // `target` is { tradeId } or { journalDate }.
+  async attach(target, imagePath, options = {}) {
+    if (!fs.existsSync(imagePath) || !fs.statSync(imagePath).isFile()) {
+      throw new Error(`Image not found: ${imagePath}`);
+    }
+
+    const buffer = fs.readFileSync(imagePath);
+    const info = readImageInfo(buffer);
+    if (!info) {
+      throw new Error(`${path.basename(imagePath)} is not a supported image (${Object.keys(IMAGE_TYPES).join(', ')})`);
+    }
+
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    const fileName = `${sha256}.${info.ext}`;
+
+    let tradeId = null;
+    let journalId = null;
+    if (target.tradeId) {
+      const trade = await this.db.get('SELECT id FROM trades WHERE id = ? AND deleted_at IS NULL', [target.tradeId]);
+      if (!trade) throw new Error(`Trade #${target.tradeId} not found`);
+      tradeId = trade.id;
+    } else {
+      journalId = (await this.db.ensureJournal(target.journalDate)).id;
+    }
+
+    const existing = await this.db.findAttachment(sha256, { tradeId, journalId });
+    if (existing) {
+      return { ...existing, duplicate: true };
+    }
+
+    fs.mkdirSync(this.storeDir, { recursive: true });
+    const stored = path.join(this.storeDir, fileName);
+    if (!fs.existsSync(stored)) {
+      fs.copyFileSync(imagePath, stored);
+    }
+
+    const id = await this.db.addAttachment({
+      trade_id: tradeId,
+      journal_id: journalId,
+      sha256,
+      file_name: fileName,
+      original_name: path.basename(imagePath),
+      mime_type: IMAGE_TYPES[info.ext],
+      size_bytes: buffer.length,
+      width: info.width,
+      height: info.height,
+      caption: options.caption || null
+    });
+
+    return { ...(await this.db.get('SELECT * FROM attachments WHERE id = ?', [id])), duplicate: false };
+  }
+
+  // Copy every stored image the dashboard may link to into `destDir`,
+  // skipping files already there (names are content hashes)
+  async publish(destDir) {
+    const attachments = await this.db.all('SELECT DISTINCT file_name FROM attachments');
+    let copied = 0;
+
+    attachments.forEach(a => {
+      const source = path.join(this.storeDir, a.file_name);
+      const dest = path.join(destDir, a.file_name);
+      if (!fs.existsSync(source) || fs.existsSync(dest)) return;
+
+      fs.mkdirSync(destDir, { recursive: true });
+      fs.copyFileSync(source, dest);
+      copied++;
+    });
+
+    return copied;
+  }
+}
+
+module.exports = HorseyAttachments;
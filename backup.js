@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./importer');
+
+// Portable export and restore. Exports carry every table a trade depends on
+// (fills, legs, accounts, fee schedules, ledger) so a restore rebuilds the
+// journal exactly; row ids are remapped on the way back in, so foreign keys
+// always point at the restored parent rather than whatever had that id.
+
+const FORMATS = ['json', 'csv', 'ndjson'];
+
+// Parents before children - restore inserts in this order
+const TABLES = [
+  'fee_schedules',
+  'accounts',
+  'narratives',
+  'watchlist',
+  'playbook',
+  'journal',
+  'trades',
+  'option_legs',
+  'executions',
+  'cash_ledger',
+  'tags',
+  'trade_tags',
+  'narrative_tags',
+  'watchlist_tags',
+  'attachments'
+];
+
+// Foreign key columns to remap, per table: column -> parent table
+const REFERENCES = {
+  accounts: { fee_schedule_id: 'fee_schedules' },
+  trades: {
+    narrative_id: 'narratives',
+    watchlist_id: 'watchlist',
+    fee_schedule_id: 'fee_schedules',
+    account_id: 'accounts'
+  },
+  option_legs: { trade_id: 'trades' },
+  executions: { trade_id: 'trades' },
+  cash_ledger: { account_id: 'accounts', trade_id: 'trades', execution_id: 'executions' },
+  trade_tags: { trade_id: 'trades', tag_id: 'tags' },
+  narrative_tags: { narrative_id: 'narratives', tag_id: 'tags' },
+  watchlist_tags: { watchlist_id: 'watchlist', tag_id: 'tags' },
+  attachments: { trade_id: 'trades', journal_id: 'journal' }
+};
+
+// Reference data seeded by migrations; restored rows are merged by name
+const NAMED_TABLES = ['fee_schedules', 'accounts'];
+
+function toCsv(rows) {
+  if (rows.length === 0) return '';
+
+  const columns = Object.keys(rows[0]);
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns.join(','), ...rows.map(row => columns.map(c => escape(row[c])).join(','))].join('\n') + '\n';
+}
+
+function fromCsv(content) {
+  const [header, ...rows] = parseCsv(content).filter(r => r.some(cell => cell.trim() !== ''));
+  if (!header) return [];
+
+  // CSV can't tell NULL from an empty string; NULL is the common case here
+  return rows.map(cells => Object.fromEntries(header.map((name, i) => [name, cells[i] === '' || cells[i] === undefined ? null : cells[i]])));
+}
+
+class HorseyBackup {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Rows for every table, limited to [from, to] by each table's own date.
+  // Trades pull in the narratives and watchlist items they link to, even
+  // when those fall outside the range, so the export stays self-contained.
+  async collect(options = {}) {
+    const { from = null, to = null } = options;
+    const inRange = (column) => {
+      const clauses = [];
+      const params = [];
+      if (from) { clauses.push(`date(${column}) >= ?`); params.push(from); }
+      if (to) { clauses.push(`date(${column}) <= ?`); params.push(to); }
+      return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+    };
+    const select = async (table, column = null) => {
+      const range = column ? inRange(column) : { where: '', params: [] };
+      return await this.db.all(`SELECT * FROM ${table} ${range.where} ORDER BY rowid`, range.params);
+    };
+    const byIds = (rows, column, ids) => rows.filter(row => ids.has(row[column]));
+
+    const tables = {
+      fee_schedules: await select('fee_schedules'),
+      accounts: await select('accounts'),
+      narratives: await select('narratives', 'created_at'),
+      watchlist: await select('watchlist', 'date'),
+      playbook: await select('playbook'),
+      journal: await select('journal', 'date'),
+      trades: await select('trades', 'entry_time')
+    };
+
+    const tradeIds = new Set(tables.trades.map(t => t.id));
+    const addParents = async (table, column) => {
+      const have = new Set(tables[table].map(row => row.id));
+      const missing = [...new Set(tables.trades.map(t => t[column]))].filter(id => id && !have.has(id));
+      if (missing.length === 0) return;
+
+      const extra = await this.db.all(`SELECT * FROM ${table} WHERE id IN (${missing.map(() => '?').join(', ')})`, missing);
+      tables[table] = [...tables[table], ...extra].sort((a, b) => a.id - b.id);
+    };
+    await addParents('narratives', 'narrative_id');
+    await addParents('watchlist', 'watchlist_id');
+
+    tables.option_legs = byIds(await select('option_legs'), 'trade_id', tradeIds);
+    tables.executions = byIds(await select('executions'), 'trade_id', tradeIds);
+
+    // Deposits and withdrawals follow the range; P&L rows follow their trade
+    const ledger = inRange('entry_time');
+    const cashRows = await this.db.all(`SELECT * FROM cash_ledger ${ledger.where ? `${ledger.where} AND` : 'WHERE'} trade_id IS NULL ORDER BY id`, ledger.params);
+    const tradeRows = byIds(await this.db.all('SELECT * FROM cash_ledger WHERE trade_id IS NOT NULL ORDER BY id'), 'trade_id', tradeIds);
+    tables.cash_ledger = [...cashRows, ...tradeRows].sort((a, b) => a.id - b.id);
+
+    tables.tags = await select('tags');
+    tables.trade_tags = byIds(await select('trade_tags'), 'trade_id', tradeIds);
+    tables.narrative_tags = byIds(await select('narrative_tags'), 'narrative_id', new Set(tables.narratives.map(n => n.id)));
+    tables.watchlist_tags = byIds(await select('watchlist_tags'), 'watchlist_id', new Set(tables.watchlist.map(w => w.id)));
+
+    // Metadata only - the image files stay in the attachment store
+    const journalIds = new Set(tables.journal.map(j => j.id));
+    tables.attachments = (await select('attachments')).filter(a => tradeIds.has(a.trade_id) || journalIds.has(a.journal_id));
+
+    const status = await this.db.getSchemaStatus();
+    return {
+      format: 'horsey-export',
+      schema_version: status.currentVersion,
+      exported_at: new Date().toISOString(),
+      range: { from, to },
+      tables
+    };
+  }
+
+  // Writes the export and returns the paths written. json and ndjson go to
+  // `out` (or are returned as `content` when no path is given); csv writes
+  // one file per table into the `out` directory.
+  async export(format, options = {}) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown export format "${format}" (expected ${FORMATS.join(', ')})`);
+    }
+
+    const data = await this.collect(options);
+    const { out = null } = options;
+
+    if (format === 'csv') {
+      if (!out) throw new Error('CSV export writes one file per table; pass --out <dir>');
+      fs.mkdirSync(out, { recursive: true });
+
+      const { tables, ...meta } = data;
+      const files = [path.join(out, 'manifest.json')];
+      fs.writeFileSync(files[0], JSON.stringify(meta, null, 2) + '\n');
+      TABLES.forEach(table => {
+        const file = path.join(out, `${table}.csv`);
+        fs.writeFileSync(file, toCsv(tables[table]));
+        files.push(file);
+      });
+      return { data, files };
+    }
+
+    let content;
+    if (format === 'json') {
+      content = JSON.stringify(data, null, 2) + '\n';
+    } else {
+      const { tables, ...meta } = data;
+      const lines = [JSON.stringify({ meta })];
+      TABLES.forEach(table => tables[table].forEach(row => lines.push(JSON.stringify({ table, row }))));
+      content = lines.join('\n') + '\n';
+    }
+
+    if (!out) return { data, content, files: [] };
+    fs.writeFileSync(out, content);
+    return { data, files: [out] };
+  }
+
+  // Load an export back into memory: a CSV directory, a JSON document or NDJSON
+  read(source) {
+    if (fs.statSync(source).isDirectory()) {
+      const manifestPath = path.join(source, 'manifest.json');
+      const meta = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+      const tables = {};
+      TABLES.forEach(table => {
+        const file = path.join(source, `${table}.csv`);
+        tables[table] = fs.existsSync(file) ? fromCsv(fs.readFileSync(file, 'utf8')) : [];
+      });
+      return { ...meta, tables };
+    }
+
+    const content = fs.readFileSync(source, 'utf8');
+    try {
+      const data = JSON.parse(content);
+      if (data && data.tables) return data;
+    } catch (error) {
+      // Not a single document - fall through to NDJSON
+    }
+
+    const data = { tables: Object.fromEntries(TABLES.map(t => [t, []])) };
+    content.split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${source}:${i + 1} is not valid JSON`);
+      }
+      if (record.meta) Object.assign(data, record.meta);
+      else if (record.table && data.tables[record.table]) data.tables[record.table].push(record.row);
+    });
+    return data;
+  }
+
+  async isEmpty() {
+    for (const table of TABLES.filter(t => !NAMED_TABLES.includes(t))) {
+      const row = await this.db.get(`SELECT COUNT(*) as count FROM ${table}`);
+      if (row.count > 0) return false;
+    }
+    return true;
+  }
+
+  // Rebuild this database from an export. Refuses to touch a database that
+  // already has journal data unless `force` is set, in which case a copy is
+  // kept at `backupPath` before the existing rows are cleared. The audit log
+  // is cleared too: there is nothing to undo past a restore.
+  async restore(data, options = {}) {
+    const { force = false, backupPath = null } = options;
+    if (!data || !data.tables) {
+      throw new Error('Not a horsey export (no tables found)');
+    }
+
+    if (!(await this.isEmpty())) {
+      if (!force) {
+        throw new Error('Target database already has data; pass --force to replace it');
+      }
+      if (backupPath) {
+        await this.db.run('VACUUM INTO ?', [backupPath]);
+      }
+    }
+
+    const columns = {};
+    for (const table of TABLES) {
+      columns[table] = (await this.db.all(`PRAGMA table_info(${table})`)).map(c => c.name).filter(c => c !== 'id');
+    }
+
+    const idMaps = Object.fromEntries(TABLES.map(t => [t, new Map()]));
+    const counts = {};
+    let orphaned = 0;
+
+    await this.db.run('BEGIN TRANSACTION');
+    try {
+      for (const table of [...TABLES].reverse().filter(t => !NAMED_TABLES.includes(t))) {
+        await this.db.run(`DELETE FROM ${table}`);
+        await this.db.run('DELETE FROM sqlite_sequence WHERE name = ?', [table]);
+      }
+
+      // Audit entries name ids that are about to belong to other rows, so
+      // undo must never replay anything from before the restore
+      await this.db.run('DELETE FROM audit_log');
+
+      for (const table of TABLES) {
+        const rows = data.tables[table] || [];
+        const refs = REFERENCES[table] || {};
+        counts[table] = rows.length;
+
+        for (const source of rows) {
+          const row = { ...source };
+          Object.entries(refs).forEach(([column, parent]) => {
+            if (row[column] === null || row[column] === undefined) return;
+            const mapped = idMaps[parent].get(Number(row[column]));
+            if (mapped === undefined) orphaned++;
+            row[column] = mapped === undefined ? null : mapped;
+          });
+
+          // Columns the export has and this schema knows; older exports
+          // simply leave newer columns at their defaults
+          const names = columns[table].filter(c => c in row);
+          const values = names.map(c => row[c]);
+
+          let newId;
+          const existing = NAMED_TABLES.includes(table)
+            ? await this.db.get(`SELECT id FROM ${table} WHERE name = ?`, [row.name])
+            : null;
+          if (existing) {
+            await this.db.run(`UPDATE ${table} SET ${names.map(c => `${c} = ?`).join(', ')} WHERE id = ?`, [...values, existing.id]);
+            newId = existing.id;
+          } else {
+            const result = await this.db.run(
+              `INSERT INTO ${table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+              values
+            );
+            newId = result.lastID;
+          }
+          idMaps[table].set(Number(source.id), newId);
+        }
+      }
+
+      const violations = await this.db.all('PRAGMA foreign_key_check');
+      if (violations.length > 0) {
+        throw new Error(`Restore would leave ${violations.length} broken reference(s) in ${violations[0].table}`);
+      }
+      const undoable = await this.db.get('SELECT COUNT(*) AS count FROM audit_log WHERE undone_at IS NULL');
+      if (undoable.count > 0) {
+        throw new Error(`Restore would leave ${undoable.count} audit entr${undoable.count === 1 ? 'y' : 'ies'} for undo to replay`);
+      }
+
+      await this.db.run('COMMIT');
+    } catch (error) {
+      await this.db.run('ROLLBACK');
+      throw error;
+    }
+
+    return { counts, orphaned };
+  }
+}
+
+module.exports = HorseyBackup;
+module.exports.FORMATS = FORMATS;
+module.exports.TABLES = TABLES;
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv } = require('./importer');
+const calendar = require('./calendar');
+
+// Price bars for anything that needs to know where price went. A bar source
+// is anything with `async getBars(ticker, { from, to, interval })`
+// resolving to bars in time order: { time, open, high, low, close, volume },
+// with `time` a stored UTC timestamp. `from`/`to` are UTC timestamps too.
+
+// Bar times in CSVs: "YYYY-MM-DD HH:MM[:SS]" is New York wall clock, like
+// broker and charting exports; ISO strings with an offset are taken as
+// given; plain numbers are epoch seconds (or milliseconds); a bare date is a
+// daily bar stamped at the 4pm close.
+function parseBarTime(value) {
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const n = Number(text);
+    return calendar.toTimestamp(new Date(n < 1e11 ? n * 1000 : n));
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return calendar.marketToUtc(text, '16:00:00');
+  }
+
+  const local = text.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (local) {
+    return calendar.marketToUtc(local[1], `${local[2].padStart(2, '0')}:${local[3]}:${local[4] || '00'}`);
+  }
+
+  const date = new Date(text);
+  return isNaN(date) ? null : calendar.toTimestamp(date);
+}
+
+// OHLC bars from CSV. `source` is a single file (with a symbol or ticker
+// column when it holds more than one ticker) or a directory of per-ticker
+// files: <TICKER>_<interval>.csv (e.g. AAPL_5m.csv), else <TICKER>.csv, else
+// one file per day: <TICKER>_<date>_<interval>.csv or <TICKER>_<date>.csv.
+class CsvBarSource {
+  constructor(source) {
+    if (!fs.existsSync(source)) {
+      throw new Error(`Bar data not found: ${source}`);
+    }
+    this.source = source;
+    this.cache = new Map();
+    this.listing = null;
+  }
+
+  filesFor(ticker, interval, from, to) {
+    if (!fs.statSync(this.source).isDirectory()) return [this.source];
+
+    const names = interval ? [`${ticker}_${interval}.csv`, `${ticker}.csv`] : [`${ticker}.csv`];
+    const whole = names.map(name => path.join(this.source, name)).find(file => fs.existsSync(file));
+    if (whole) return [whole];
+
+    // Per-day files in the market dates asked for, preferring the interval
+    if (!this.listing) this.listing = fs.readdirSync(this.source);
+    const first = from ? calendar.marketDate(from) : null;
+    const last = to ? calendar.marketDate(to) : null;
+    const days = this.listing
+      .map(name => ({ name, match: name.match(/^(.+)_(\d{4}-\d{2}-\d{2})(?:_([^_.]+))?\.csv$/) }))
+      .filter(f => f.match && f.match[1] === ticker)
+      .filter(f => (!first || f.match[2] >= first) && (!last || f.match[2] <= last));
+
+    const byDate = new Map();
+    days.forEach(f => {
+      const [, , date, fileInterval] = f.match;
+      if (fileInterval && fileInterval !== interval) return;
+      // An exact interval match beats an unlabelled file for the same day
+      if (!byDate.has(date) || fileInterval) byDate.set(date, path.join(this.source, f.name));
+    });
+    return [...byDate.keys()].sort().map(date => byDate.get(date));
+  }
+
+  read(file) {
+    if (this.cache.has(file)) return this.cache.get(file);
+
+    const [header, ...rows] = parseCsv(fs.readFileSync(file, 'utf8')).filter(r => r.some(cell => cell.trim() !== ''));
+    const columns = (header || []).map(h => h.trim().toLowerCase());
+    const timeColumn = ['time', 'timestamp', 'datetime', 'date'].find(c => columns.includes(c));
+    const missing = ['open', 'high', 'low', 'close'].filter(c => !columns.includes(c));
+    if (!timeColumn || missing.length > 0) {
+      throw new Error(`${file} needs time, open, high, low and close columns`);
+    }
+
+    const bars = rows.map((cells, i) => {
+      const row = Object.fromEntries(columns.map((c, j) => [c, (cells[j] || '').trim()]));
+      const time = parseBarTime(row[timeColumn]);
+      if (!time) {
+        throw new Error(`${file}:${i + 2} has an unreadable time "${row[timeColumn]}"`);
+      }
+      return {
+        symbol: (row.symbol || row.ticker || '').toUpperCase() || null,
+        time,
+        open: Number(row.open),
+        high: Number(row.high),
+        low: Number(row.low),
+        close: Number(row.close),
+        volume: row.volume ? Number(row.volume) : null
+      };
+    }).sort((a, b) => a.time.localeCompare(b.time));
+
+    this.cache.set(file, bars);
+    return bars;
+  }
+
+  async getBars(ticker, options = {}) {
+    const { from = null, to = null, interval = null } = options;
+    const symbol = ticker.toUpperCase();
+
+    return this.filesFor(symbol, interval, from, to)
+      .flatMap(file => this.read(file))
+      .filter(bar => bar.symbol === null || bar.symbol === symbol)
+      .filter(bar => (!from || bar.time >= from) && (!to || bar.time <= to))
+      .map(({ symbol: _, ...bar }) => bar);
+  }
+}
+
+// The latest quote as a single bar, for checks run against live prices
+// rather than history. `quotes` is a quote provider (see quotes.js).
+class QuoteBarSource {
+  constructor(quotes) {
+    this.quotes = quotes;
+  }
+
+  async getBars(ticker, options = {}) {
+    const symbol = ticker.toUpperCase();
+    const quote = (await this.quotes.getQuotes([symbol])).get(symbol);
+    if (!quote) return [];
+
+    const time = calendar.toTimestamp(quote.time || new Date());
+    if ((options.from && time < options.from) || (options.to && time > options.to)) return [];
+    return [{ time, open: quote.price, high: quote.price, low: quote.price, close: quote.price, volume: null }];
+  }
+}
+
+module.exports = {
+  CsvBarSource,
+  QuoteBarSource,
+  parseBarTime
+};
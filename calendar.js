@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+// Trading calendar. The market runs on America/New_York time, so "today",
+// session boundaries and holidays are all decided there - never in UTC or
+// the machine's local zone. Timestamps in the database stay UTC
+// ('YYYY-MM-DD HH:MM:SS', what CURRENT_TIMESTAMP stores); a market date is
+// turned into the UTC range it covers before it is compared against them.
+
+const MARKET_TZ = 'America/New_York';
+
+// Session boundaries, New York wall clock
+const SESSIONS = {
+  pre: { start: '04:00', end: '09:30' },
+  regular: { start: '09:30', end: '16:00' },
+  after: { start: '16:00', end: '20:00' }
+};
+const EARLY_CLOSE = '13:00';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: MARKET_TZ,
+  hourCycle: 'h23',
+  year: 'numeric', month: '2-digit', day: '2-digit',
+  hour: '2-digit', minute: '2-digit', second: '2-digit'
+});
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') return new Date(value);
+  // Stored timestamps are UTC without a zone marker
+  return new Date(String(value).replace(' ', 'T') + (/[zZ]|[+-]\d{2}:?\d{2}$/.test(value) ? '' : 'Z'));
+}
+
+function wallClock(at) {
+  const parts = Object.fromEntries(formatter.formatToParts(toDate(at)).map(p => [p.type, p.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`
+  };
+}
+
+// Format a Date as a stored UTC timestamp
+function toTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Wall-clock time in New York -> UTC 'YYYY-MM-DD HH:MM:SS'
+function marketToUtc(date, time = '09:30:00') {
+  const [y, mo, d] = date.split('-').map(Number);
+  const [h, mi, s] = time.split(':').map(Number);
+  const wall = Date.UTC(y, mo - 1, d, h, mi, s || 0);
+
+  // Find the offset at that instant; run twice to settle DST edges
+  let guess = wall;
+  for (let i = 0; i < 2; i++) {
+    const seen = wallClock(guess);
+    const [sy, smo, sd] = seen.date.split('-').map(Number);
+    const [sh, smi, ss] = seen.time.split(':').map(Number);
+    guess += wall - Date.UTC(sy, smo - 1, sd, sh, smi, ss);
+  }
+
+  return toTimestamp(new Date(guess));
+}
+
+// The New York calendar date of an instant (default: now)
+function marketDate(at = new Date()) {
+  return wallClock(at).date;
+}
+
+function today() {
+  return marketDate();
+}
+
+// Calendar arithmetic on 'YYYY-MM-DD' strings
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function weekday(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+// UTC [start, end) covering a market date, for comparing against stored
+// timestamps: `entry_time >= start AND entry_time < end`
+function dayRange(date) {
+  return { start: marketToUtc(date, '00:00:00'), end: marketToUtc(addDays(date, 1), '00:00:00') };
+}
+
+// nth weekday (0 = Sunday) of a month; n = -1 for the last one
+function nthWeekday(year, month, day, n) {
+  if (n < 0) {
+    const last = new Date(Date.UTC(year, month, 0));
+    const back = (last.getUTCDay() - day + 7) % 7;
+    return `${year}-${pad(month)}-${pad(last.getUTCDate() - back)}`;
+  }
+  const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  return `${year}-${pad(month)}-${pad(1 + ((day - first + 7) % 7) + (n - 1) * 7)}`;
+}
+
+// Anonymous Gregorian algorithm
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Fixed-date holidays move to Friday when they fall on Saturday and to
+// Monday on Sunday
+function observed(date) {
+  const day = weekday(date);
+  if (day === 6) return addDays(date, -1);
+  if (day === 0) return addDays(date, 1);
+  return date;
+}
+
+// NYSE full-day closures for a year
+function getHolidays(year) {
+  const holidays = [];
+  const add = (date, name) => {
+    if (date.startsWith(`${year}-`)) holidays.push({ date, name });
+  };
+
+  // New Year's Day on a Saturday is not moved back into the old year
+  const newYear = `${year}-01-01`;
+  if (weekday(newYear) !== 6) add(observed(newYear), "New Year's Day");
+  add(nthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day');
+  add(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+  add(addDays(easter(year), -2), 'Good Friday');
+  add(nthWeekday(year, 5, 1, -1), 'Memorial Day');
+  if (year >= 2022) add(observed(`${year}-06-19`), 'Juneteenth');
+  add(observed(`${year}-07-04`), 'Independence Day');
+  add(nthWeekday(year, 9, 1, 1), 'Labor Day');
+  add(nthWeekday(year, 11, 4, 4), 'Thanksgiving Day');
+  add(observed(`${year}-12-25`), 'Christmas Day');
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function getHoliday(date) {
+  const holiday = getHolidays(Number(date.slice(0, 4))).find(h => h.date === date);
+  return holiday ? holiday.name : null;
+}
+
+function isTradingDay(date) {
+  const day = weekday(date);
+  return day !== 0 && day !== 6 && !getHoliday(date);
+}
+
+// 1pm closes: the day before Independence Day, the day after Thanksgiving
+// and Christmas Eve, when those are trading days
+function isEarlyClose(date) {
+  if (!isTradingDay(date)) return false;
+  const year = Number(date.slice(0, 4));
+  return date === `${year}-07-03`
+    || date === addDays(nthWeekday(year, 11, 4, 4), 1)
+    || date === `${year}-12-24`;
+}
+
+function nextTradingDay(date) {
+  let next = addDays(date, 1);
+  while (!isTradingDay(next)) next = addDays(next, 1);
+  return next;
+}
+
+function previousTradingDay(date) {
+  let previous = addDays(date, -1);
+  while (!isTradingDay(previous)) previous = addDays(previous, -1);
+  return previous;
+}
+
+// Session times for a market date, as UTC timestamps. Returns null for
+// weekends and holidays.
+function getSessions(date) {
+  if (!isTradingDay(date)) return null;
+
+  const close = isEarlyClose(date) ? EARLY_CLOSE : SESSIONS.regular.end;
+  const at = (time) => marketToUtc(date, `${time}:00`);
+  return {
+    date,
+    earlyClose: close !== SESSIONS.regular.end,
+    pre: { start: at(SESSIONS.pre.start), end: at(SESSIONS.pre.end) },
+    regular: { start: at(SESSIONS.regular.start), end: at(close) },
+    // After-hours still ends at 8pm on early-close days
+    after: { start: at(close), end: at(SESSIONS.after.end) }
+  };
+}
+
+// Which session an instant falls in: 'pre', 'regular', 'after' or 'closed'
+function getSession(at = new Date()) {
+  const sessions = getSessions(marketDate(at));
+  if (!sessions) return 'closed';
+
+  const stamp = toTimestamp(toDate(at));
+  const found = ['pre', 'regular', 'after'].find(name => stamp >= sessions[name].start && stamp < sessions[name].end);
+  return found || 'closed';
+}
+
+// Parse a user-entered time for backdating. Bare dates and times are New
+// York wall clock ('2026-03-02 10:15', '2026-03-02T10:15:30'); ISO strings
+// with Z or an offset are taken as given. Returns a stored UTC timestamp.
+function parseMarketTime(input) {
+  const text = String(input).trim();
+  const local = text.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+
+  let stamp;
+  if (local) {
+    stamp = marketToUtc(local[1], `${pad(local[2])}:${local[3]}:${local[4] || '00'}`);
+  } else if (/^\d{4}-\d{2}-\d{2}T.+([zZ]|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const date = new Date(text);
+    if (!isNaN(date)) stamp = toTimestamp(date);
+  }
+
+  if (!stamp) {
+    throw new Error(`Can't read time "${input}" (use "YYYY-MM-DD HH:MM" New York time, or ISO with an offset)`);
+  }
+  if (stamp > toTimestamp(new Date())) {
+    throw new Error(`${input} is in the future`);
+  }
+  return stamp;
+}
+
+// Resolve a stats period to inclusive market dates { label, from, to },
+// either end null when open. Rolling periods count back from `now`: today,
+// week (7 days), month (30 days), ytd. Calendar periods: 2026, 2026-Q3,
+// 2026-09, 2026-09-14.
+function parsePeriod(spec = 'all', now = today()) {
+  const text = String(spec).trim().toLowerCase();
+  const lastDay = (y, m) => new Date(Date.UTC(y, m, 0)).getUTCDate();
+  let match;
+
+  if (text === 'all') return { label: 'all', from: null, to: null };
+  if (text === 'today') return { label: now, from: now, to: now };
+  if (text === 'week') return { label: 'week', from: addDays(now, -7), to: now };
+  if (text === 'month') return { label: 'month', from: addDays(now, -30), to: now };
+  if (text === 'ytd') return { label: `${now.slice(0, 4)} YTD`, from: `${now.slice(0, 4)}-01-01`, to: now };
+
+  if ((match = text.match(/^(\d{4})$/))) {
+    return { label: match[1], from: `${match[1]}-01-01`, to: `${match[1]}-12-31` };
+  }
+  if ((match = text.match(/^(\d{4})-q([1-4])$/))) {
+    const year = Number(match[1]);
+    const first = (Number(match[2]) - 1) * 3 + 1;
+    return {
+      label: `${year}-Q${match[2]}`,
+      from: `${year}-${pad(first)}-01`,
+      to: `${year}-${pad(first + 2)}-${pad(lastDay(year, first + 2))}`
+    };
+  }
+  if ((match = text.match(/^(\d{4})-(\d{2})$/)) && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+    return { label: text, from: `${text}-01`, to: `${text}-${pad(lastDay(Number(match[1]), Number(match[2])))}` };
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text) && addDays(text, 0) === text) {
+    return { label: text, from: text, to: text };
+  }
+
+  throw new Error(`Unknown period "${spec}" (use today, week, month, ytd, all, YYYY, YYYY-Qn, YYYY-MM or YYYY-MM-DD)`);
+}
+
+module.exports = {
+  MARKET_TZ,
+  SESSIONS,
+  marketDate,
+  marketToUtc,
+  today,
+  addDays,
+  weekday,
+  dayRange,
+  getHolidays,
+  getHoliday,
+  isTradingDay,
+  isEarlyClose,
+  nextTradingDay,
+  previousTradingDay,
+  getSessions,
+  getSession,
+  parseMarketTime,
+  parsePeriod,
+  toTimestamp
+};
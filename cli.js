@@ -1,9 +1,25 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
 const { program } = require('commander');
 const HorseyDB = require('./db');
 const HorseyStats = require('./stats');
 const HorseyDashboard = require('./dashboard');
+const { FEE_FIELDS, describeSchedule } = require('./fees');
+const { INSTRUMENTS } = require('./pnl');
+const { parseOccSymbol, parseLegs, describeLegs } = require('./options');
+const HorseyImporter = require('./importer');
+const HorseyBackup = require('./backup');
+const HorseyTax = require('./tax');
+const HorseyAttachments = require('./attachments');
+const calendar = require('./calendar');
+const HorseyQuotes = require('./quotes');
+const HorseyNarratives = require('./narratives');
+const { CsvBarSource, QuoteBarSource } = require('./bars');
+const HorseyAlerts = require('./alerts');
+const HorseyRisk = require('./risk');
+const { sizePosition } = HorseyRisk;
+const HorseyExcursions = require('./excursions');
 
 const db = new HorseyDB();
 const stats = new HorseyStats(db);
@@ -35,6 +51,120 @@ function formatTable(headers, rows) {
   return [separator, headerRow, separator, ...dataRows, separator].join('\n');
 }
 
+// Helper to collect --tag values; repeatable and comma-separated
+function collectTags(value, previous) {
+  return previous.concat(value.split(','));
+}
+
+// Filter options shared by every stats command; `range: false` leaves out
+// the date range for commands that take their periods as arguments
+function addStatsFilters(command, { range = true } = {}) {
+  if (range) {
+    command
+      .option('--period <period>', 'today, week, month, ytd, all, YYYY, YYYY-Qn, YYYY-MM or YYYY-MM-DD', 'all')
+      .option('--from <date>', 'from a date, or the start of a month/quarter/year')
+      .option('--to <date>', 'to a date, or the end of a month/quarter/year');
+  }
+  return command
+    .option('--ticker <ticker>', 'filter by ticker')
+    .option('--setup <setup>', 'filter by setup')
+    .option('--instrument <instrument>', 'filter by instrument')
+    .option('--direction <direction>', 'filter by direction (long/short)')
+    .option('--paper', 'paper trades instead of real ones')
+    .option('--account <name>', 'filter by account')
+    .option('--tag <tags>', 'filter by tag (all must match)', collectTags, []);
+}
+
+// Helper to turn those options into stats filters
+function statsFilters(options) {
+  return {
+    period: options.period,
+    from: options.from,
+    to: options.to,
+    ticker: options.ticker,
+    setup: options.setup,
+    instrument: options.instrument,
+    direction: options.direction,
+    paper: options.paper,
+    account: options.account,
+    tag: options.tag
+  };
+}
+
+// Helper to resolve option legs for trade open: from --legs, or from an
+// OCC symbol given in place of the ticker
+function resolveLegs(ticker, legString) {
+  const legs = parseLegs(legString);
+  const contract = parseOccSymbol(ticker);
+
+  if (contract && legs.length === 0) {
+    return { ticker: contract.underlying, legs: [{ ...contract, quantity: 1, entry_price: null }] };
+  }
+  return { ticker: contract ? contract.underlying : ticker, legs };
+}
+
+// Helper to label a trade's instrument, spelling out option legs when known
+function formatInstrument(trade) {
+  return trade.legs && trade.legs.length > 0 ? describeLegs(trade.legs) : trade.instrument;
+}
+
+// Helper to format an entry/exit price; spreads opened for a credit get "cr"
+function formatPrice(trade, price) {
+  return `$${price.toFixed(2)}${trade.is_credit ? ' cr' : ''}`;
+}
+
+// Helper to read --at for backdated fills. Warns when the time falls
+// outside the regular session, which is usually a typo in the hour.
+function resolveFillTime(at) {
+  if (!at) return undefined;
+
+  const executedAt = calendar.parseMarketTime(at);
+  const date = calendar.marketDate(executedAt);
+  const holiday = calendar.getHoliday(date);
+  const session = calendar.getSession(executedAt);
+
+  if (holiday) {
+    console.log(`⚠️  ${date} is a market holiday (${holiday})`);
+  } else if (!calendar.isTradingDay(date)) {
+    console.log(`⚠️  ${date} is a weekend`);
+  } else if (session !== 'regular') {
+    console.log(`⚠️  ${at} is outside regular hours (${session === 'closed' ? 'market closed' : `${session}-market`})`);
+  }
+  return executedAt;
+}
+
+// Helper to format a marked dollar amount; '-' when it couldn't be priced
+function formatMoney(value) {
+  return value === null || value === undefined ? '-' : `$${value.toFixed(2)}`;
+}
+
+// Helper to show a risk rule amount in the rule's unit
+function formatRiskValue(rule, value) {
+  if (value === null || value === undefined) return '';
+  if (rule === 'daily-loss' || rule === 'trade-loss') return formatMoney(value);
+  if (rule === 'position-pct') return `${value}%`;
+  return String(value);
+}
+
+// Helper to show an audited value; long text is cut short
+function formatAuditValue(value) {
+  if (value === null || value === undefined) return '∅';
+  const text = String(value);
+  return text.length > 40 ? text.substring(0, 40) + '...' : text;
+}
+
+// Helper to report what an edit changed
+function printEdit(label, result) {
+  if (!result) {
+    console.log(`ℹ️  Nothing to change on ${label}`);
+    return;
+  }
+  console.log(`✅ Updated ${label}`);
+  Object.keys(result.after).forEach(field => {
+    console.log(`   ${field}: ${formatAuditValue(result.before[field])} → ${formatAuditValue(result.after[field])}`);
+  });
+}
+
 // Add main narrative command
 const narrativeCmd = program.command('narrative').alias('n').description('Manage trading narratives');
 
@@ -45,13 +175,15 @@ narrativeCmd
   .option('--levels <levels>', 'comma-separated price levels')
   .option('--invalidation <price>', 'invalidation price', parseFloat)
   .option('--timeframe <timeframe>', 'intraday, swing, or multi-day', 'intraday')
+  .option('--tag <tags>', 'tag (comma-separated or repeated)', collectTags, [])
   .action(async (ticker, text, options) => {
     try {
       const id = await db.addNarrative(ticker, text, {
         direction: options.direction,
         levels: parseLevels(options.levels),
         invalidation: options.invalidation,
-        timeframe: options.timeframe
+        timeframe: options.timeframe,
+        tags: options.tag
       });
       console.log(`✅ Added narrative #${id} for ${ticker.toUpperCase()}`);
     } catch (error) {
@@ -64,6 +196,7 @@ narrativeCmd
   .description('List narratives')
   .option('--active', 'show only active narratives')
   .option('--ticker <ticker>', 'filter by ticker')
+  .option('--tag <tags>', 'filter by tag (all must match)', collectTags, [])
   .action(async (options) => {
     try {
       const narratives = await db.getNarratives(options);
@@ -81,12 +214,13 @@ narrativeCmd
         n.narrative.substring(0, 50) + (n.narrative.length > 50 ? '...' : ''),
         n.key_levels ? n.key_levels.join(',') : '',
         n.invalidation || '',
+        n.tags.join(','),
         new Date(n.created_at).toLocaleDateString()
       ]);
       
       console.log('\n📊 NARRATIVES');
       console.log(formatTable(
-        ['ID', 'Ticker', 'Dir', 'Status', 'Narrative', 'Levels', 'Invalid', 'Date'],
+        ['ID', 'Ticker', 'Dir', 'Status', 'Narrative', 'Levels', 'Invalid', 'Tags', 'Date'],
         rows
       ));
     } catch (error) {
@@ -98,6 +232,7 @@ narrativeCmd
   .command('update <id>')
   .description('Update narrative status')
   .option('--status <status>', 'triggered, invalidated, expired')
+  .option('--reason <reason>', 'why it resolved')
   .action(async (id, options) => {
     try {
       if (!options.status) {
@@ -105,13 +240,88 @@ narrativeCmd
         return;
       }
       
-      await db.updateNarrativeStatus(parseInt(id), options.status);
+      await db.updateNarrativeStatus(parseInt(id), options.status, options.reason);
       console.log(`✅ Updated narrative #${id} to ${options.status}`);
     } catch (error) {
       console.error('❌ Error:', error.message);
     }
   });
 
+narrativeCmd
+  .command('check')
+  .description('Resolve active narratives against price: invalidated, triggered or expired')
+  .option('--bars <path>', 'OHLC bar CSV, or a directory of <TICKER>.csv files (default: latest quotes)')
+  .option('--quotes <source>', 'without --bars: "yahoo" (default) or a quote file')
+  .option('--ticker <ticker>', 'only check one ticker')
+  .option('--dry-run', 'show what would change without changing it')
+  .action(async (options) => {
+    try {
+      const bars = options.bars
+        ? new CsvBarSource(options.bars)
+        : new QuoteBarSource(HorseyQuotes.createQuoteProvider(options.quotes));
+      const results = await new HorseyNarratives(db, bars).check({ ticker: options.ticker, dryRun: options.dryRun });
+
+      if (results.length === 0) {
+        console.log('No active narratives to check.');
+        return;
+      }
+
+      const rows = results.map(r => [
+        r.narrative.id,
+        r.narrative.ticker,
+        r.narrative.direction,
+        r.narrative.timeframe,
+        r.transition ? r.transition.status : r.bars === 0 ? 'no data' : 'active',
+        r.transition ? r.transition.reason : ''
+      ]);
+
+      console.log(`\n🔍 NARRATIVE CHECK${options.dryRun ? ' (dry run)' : ''}`);
+      console.log(formatTable(['ID', 'Ticker', 'Dir', 'Timeframe', 'Result', 'Reason'], rows));
+
+      const changed = results.filter(r => r.transition).length;
+      console.log(`\n${changed} of ${results.length} narrative(s) ${options.dryRun ? 'would change' : 'resolved'}${changed > 0 && !options.dryRun ? ' (undo with "horsey undo")' : ''}`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+narrativeCmd
+  .command('edit <id>')
+  .description('Edit a narrative')
+  .option('--ticker <ticker>', 'ticker')
+  .option('--text <text>', 'narrative text')
+  .option('--direction <direction>', 'bull, bear, or neutral')
+  .option('--levels <levels>', 'comma-separated price levels')
+  .option('--invalidation <price>', 'invalidation price', parseFloat)
+  .option('--timeframe <timeframe>', 'intraday, swing, or multi-day')
+  .action(async (id, options) => {
+    try {
+      const result = await db.updateRecord('narrative', parseInt(id), {
+        ticker: options.ticker && options.ticker.toUpperCase(),
+        narrative: options.text,
+        direction: options.direction,
+        key_levels: options.levels && JSON.stringify(parseLevels(options.levels)),
+        invalidation: options.invalidation,
+        timeframe: options.timeframe
+      });
+      printEdit(`narrative #${id}`, result);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+narrativeCmd
+  .command('delete <id>')
+  .description('Delete a narrative (undo with "horsey undo")')
+  .action(async (id) => {
+    try {
+      await db.deleteRecord('narrative', parseInt(id));
+      console.log(`🗑️  Deleted narrative #${id}`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
 // Add main watch command
 const watchCmd = program.command('watch').alias('w').description('Manage watchlist');
 
@@ -122,13 +332,15 @@ watchCmd
   .option('--bias <bias>', 'long, short, or neutral', 'neutral')
   .option('--priority <priority>', 'priority 1-5', parseInt, 3)
   .option('--flow <note>', 'options flow note')
+  .option('--tag <tags>', 'tag (comma-separated or repeated)', collectTags, [])
   .action(async (ticker, setup, options) => {
     try {
       const id = await db.addToWatchlist(ticker, setup, {
         levels: parseLevels(options.levels),
         bias: options.bias,
         priority: options.priority,
-        flow: options.flow
+        flow: options.flow,
+        tags: options.tag
       });
       console.log(`✅ Added ${ticker.toUpperCase()} to watchlist (#${id})`);
     } catch (error) {
@@ -141,6 +353,7 @@ watchCmd
   .description('Show watchlist')
   .option('--date <date>', 'specific date or "today"', 'today')
   .option('--active', 'show only active items')
+  .option('--tag <tags>', 'filter by tag (all must match)', collectTags, [])
   .action(async (options) => {
     try {
       const watchlist = await db.getWatchlist(options);
@@ -158,12 +371,13 @@ watchCmd
         w.status,
         w.setup.substring(0, 30) + (w.setup.length > 30 ? '...' : ''),
         w.key_levels ? JSON.stringify(w.key_levels).substring(0, 20) + '...' : '',
-        w.options_flow_note ? w.options_flow_note.substring(0, 20) + '...' : ''
+        w.options_flow_note ? w.options_flow_note.substring(0, 20) + '...' : '',
+        w.tags.join(',')
       ]);
       
       console.log('\n👀 WATCHLIST');
       console.log(formatTable(
-        ['ID', 'Ticker', 'Bias', 'Pri', 'Status', 'Setup', 'Levels', 'Flow'],
+        ['ID', 'Ticker', 'Bias', 'Pri', 'Status', 'Setup', 'Levels', 'Flow', 'Tags'],
         rows
       ));
     } catch (error) {
@@ -189,6 +403,45 @@ watchCmd
     }
   });
 
+watchCmd
+  .command('edit <id>')
+  .description('Edit a watchlist item')
+  .option('--ticker <ticker>', 'ticker')
+  .option('--setup <setup>', 'setup description')
+  .option('--levels <levels>', 'comma-separated price levels')
+  .option('--bias <bias>', 'long, short, or neutral')
+  .option('--priority <priority>', 'priority 1-5', parseInt)
+  .option('--flow <note>', 'options flow note')
+  .option('--date <date>', 'watchlist date (YYYY-MM-DD)')
+  .action(async (id, options) => {
+    try {
+      const result = await db.updateRecord('watchlist', parseInt(id), {
+        ticker: options.ticker && options.ticker.toUpperCase(),
+        setup: options.setup,
+        key_levels: options.levels && JSON.stringify(parseLevels(options.levels)),
+        bias: options.bias,
+        priority: options.priority,
+        options_flow_note: options.flow,
+        date: options.date
+      });
+      printEdit(`watchlist #${id}`, result);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+watchCmd
+  .command('delete <id>')
+  .description('Delete a watchlist item (undo with "horsey undo")')
+  .action(async (id) => {
+    try {
+      await db.deleteRecord('watchlist', parseInt(id));
+      console.log(`🗑️  Deleted watchlist #${id}`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
 watchCmd
   .command('clear')
   .description('Clear old watchlist items')
@@ -210,35 +463,79 @@ tradeCmd
   .option('--setup <setup>', 'setup type', 'other')
   .option('--narrative <id>', 'narrative ID', parseInt)
   .option('--watchlist <id>', 'watchlist ID', parseInt)
-  .option('--risk <amount>', 'planned risk amount', parseFloat)
-  .option('--target <amount>', 'planned target amount', parseFloat)
+  .option('--stop <price>', 'stop price; sets the initial risk', parseFloat)
+  .option('--target <price>', 'target price (a price, not a dollar amount - see --planned-target)', parseFloat)
+  .option('--planned-target <amount>', 'planned target amount in dollars', parseFloat)
+  .option('--risk <amount>', 'planned risk amount, when there is no stop', parseFloat)
   .option('--notes <notes>', 'trade notes')
+  .option('--fees <schedule>', 'fee schedule name (default schedule if omitted)')
+  .option('--legs <legs>', 'option legs, e.g. "+1 SPY241018C00580000, -1 SPY241018C00585000"')
+  .option('--credit', 'spread was opened for a net credit')
+  .option('--account <name>', 'account (default account if omitted)')
+  .option('--tag <tags>', 'tag (comma-separated or repeated)', collectTags, [])
+  .option('--at <time>', 'backdate the entry ("YYYY-MM-DD HH:MM" New York time)')
+  .option('--override <reason>', 'open despite blocking risk rules, recording why')
   .action(async (ticker, direction, instrument, entryPrice, size, options) => {
     try {
       const validDirections = ['long', 'short'];
-      const validInstruments = ['shares', 'calls', 'puts', '0dte-calls', '0dte-puts', 'csp'];
       
       if (!validDirections.includes(direction)) {
         console.error('❌ Direction must be: long, short');
         return;
       }
       
-      if (!validInstruments.includes(instrument)) {
-        console.error('❌ Instrument must be: shares, calls, puts, 0dte-calls, 0dte-puts, csp');
+      if (!INSTRUMENTS.includes(instrument)) {
+        console.error(`❌ Instrument must be: ${INSTRUMENTS.join(', ')}`);
         return;
       }
-      
+
+      const resolved = resolveLegs(ticker, options.legs);
+      ticker = resolved.ticker;
+      const executedAt = resolveFillTime(options.at);
+
+      const check = await new HorseyRisk(db).check({
+        direction,
+        instrument,
+        entryPrice: parseFloat(entryPrice),
+        size: parseInt(size),
+        legs: resolved.legs,
+        credit: options.credit,
+        stop: options.stop,
+        risk: options.risk,
+        account: options.account,
+        executedAt
+      });
+      check.warnings.forEach(b => console.log(`⚠️  Risk ${b.rule}: ${b.message}`));
+      if (check.blocked.length > 0 && !options.override) {
+        console.error('❌ Blocked by risk policy:');
+        check.blocked.forEach(b => console.error(`   ${b.rule}: ${b.message}`));
+        console.error('   Pass --override "<reason>" to open anyway');
+        return;
+      }
+      check.blocked.forEach(b => console.log(`⚠️  Risk ${b.rule} overridden: ${b.message}`));
+
       const id = await db.openTrade(ticker, direction, instrument, parseFloat(entryPrice), parseInt(size), {
         setup: options.setup,
         narrative: options.narrative,
         watchlist: options.watchlist,
         risk: options.risk,
-        target: options.target,
-        notes: options.notes
+        stop: options.stop,
+        targetPrice: options.target,
+        plannedTarget: options.plannedTarget,
+        notes: options.notes,
+        fees: options.fees,
+        legs: resolved.legs,
+        credit: options.credit,
+        account: options.account,
+        tags: options.tag,
+        executedAt,
+        riskBreaches: check.breaches.map(b => b.rule),
+        riskOverride: check.breaches.length > 0 ? options.override : null
       });
       
       const costBasis = parseFloat(entryPrice) * parseInt(size);
-      console.log(`✅ Opened trade #${id}: ${direction.toUpperCase()} ${ticker.toUpperCase()} ${instrument} @ $${entryPrice} (${size}x, $${costBasis.toFixed(2)} basis)`);
+      const label = resolved.legs.length > 0 ? describeLegs(resolved.legs) : instrument;
+      console.log(`✅ Opened trade #${id}: ${direction.toUpperCase()} ${ticker.toUpperCase()} ${label} @ $${entryPrice}${options.credit ? ' cr' : ''} (${size}x, $${costBasis.toFixed(2)} basis)`);
     } catch (error) {
       console.error('❌ Error:', error.message);
     }
@@ -249,21 +546,143 @@ tradeCmd
   .description('Close a trade')
   .option('--notes <notes>', 'closing notes')
   .option('--lessons <lessons>', 'lessons learned')
+  .option('--at <time>', 'backdate the exit ("YYYY-MM-DD HH:MM" New York time)')
   .action(async (id, exitPrice, options) => {
     try {
-      await db.closeTrade(parseInt(id), parseFloat(exitPrice), options);
+      await db.closeTrade(parseInt(id), parseFloat(exitPrice), { ...options, executedAt: resolveFillTime(options.at) });
       console.log(`✅ Closed trade #${id} @ $${exitPrice}`);
     } catch (error) {
       console.error('❌ Error:', error.message);
     }
   });
 
+tradeCmd
+  .command('add <id> <price> <size>')
+  .description('Scale into an open trade')
+  .option('--at <time>', 'backdate the fill ("YYYY-MM-DD HH:MM" New York time)')
+  .action(async (id, price, size, options) => {
+    try {
+      const summary = await db.addToTrade(parseInt(id), parseFloat(price), parseInt(size), { executedAt: resolveFillTime(options.at) });
+      console.log(`✅ Added ${size}x to trade #${id} @ $${price} (avg entry $${summary.entryPrice.toFixed(2)}, ${summary.openSize} open)`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+tradeCmd
+  .command('trim <id> <price> <size>')
+  .description('Scale out of an open trade')
+  .option('--at <time>', 'backdate the fill ("YYYY-MM-DD HH:MM" New York time)')
+  .action(async (id, price, size, options) => {
+    try {
+      const summary = await db.trimTrade(parseInt(id), parseFloat(price), parseInt(size), { executedAt: resolveFillTime(options.at) });
+      const realized = summary.exits[summary.exits.length - 1].pnl;
+      console.log(`✅ Trimmed ${size}x from trade #${id} @ $${price}: $${realized.toFixed(2)} realized (${summary.openSize} open, ${summary.status})`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+tradeCmd
+  .command('edit <id>')
+  .description('Edit a trade')
+  .option('--ticker <ticker>', 'ticker')
+  .option('--direction <direction>', 'long or short')
+  .option('--setup <setup>', 'setup type')
+  .option('--narrative <id>', 'linked narrative ID', parseInt)
+  .option('--watchlist <id>', 'linked watchlist ID', parseInt)
+  .option('--risk <amount>', 'planned risk', parseFloat)
+  .option('--stop <price>', 'initial stop (move the live stop with trade stop)', parseFloat)
+  .option('--target <price>', 'target price (a price, not a dollar amount - see --planned-target)', parseFloat)
+  .option('--planned-target <amount>', 'planned target amount in dollars', parseFloat)
+  .option('--notes <notes>', 'trade notes')
+  .option('--lessons <lessons>', 'lessons learned')
+  .option('--entry-price <price>', 'entry price (single-entry trades only)', parseFloat)
+  .option('--size <size>', 'entry size (single-entry trades only)', parseInt)
+  .action(async (id, options) => {
+    try {
+      if (options.direction && !['long', 'short'].includes(options.direction)) {
+        console.error('❌ Direction must be long or short');
+        return;
+      }
+
+      const result = await db.editTrade(parseInt(id), {
+        ticker: options.ticker && options.ticker.toUpperCase(),
+        direction: options.direction,
+        setup_type: options.setup,
+        narrative_id: options.narrative,
+        watchlist_id: options.watchlist,
+        planned_risk: options.risk,
+        initial_stop: options.stop,
+        target_price: options.target,
+        planned_target: options.plannedTarget,
+        notes: options.notes,
+        lessons: options.lessons,
+        entry_price: options.entryPrice,
+        size: options.size
+      });
+      printEdit(`trade #${id}`, result);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+tradeCmd
+  .command('stop <id> [price]')
+  .description("Move a trade's stop, or show where it has been")
+  .option('--reason <reason>', 'why the stop moved')
+  .action(async (id, price, options) => {
+    try {
+      if (price !== undefined) {
+        const result = await db.moveStop(parseInt(id), parseFloat(price), { reason: options.reason });
+        if (!result) {
+          console.log(`No change: trade #${id} stop is already $${price}`);
+          return;
+        }
+        const from = result.before.stop_price;
+        console.log(`✅ Trade #${id} stop ${from === null ? 'set at' : `moved $${from} →`} $${price}`);
+        return;
+      }
+
+      const history = await db.getStopHistory(parseInt(id));
+      if (history.length === 0) {
+        console.log(`Trade #${id} has no stop.`);
+        return;
+      }
+
+      console.log(`\n🛑 STOP HISTORY - trade #${id}`);
+      console.log(formatTable(['When', 'Stop', 'From', 'Reason'], history.map(h => [
+        h.at,
+        `$${h.price}`,
+        h.previous === null ? '' : `$${h.previous}`,
+        h.reason || ''
+      ])));
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+tradeCmd
+  .command('delete <id>')
+  .description('Delete a trade (undo with "horsey undo")')
+  .action(async (id) => {
+    try {
+      await db.deleteRecord('trade', parseInt(id));
+      console.log(`🗑️  Deleted trade #${id}`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
 tradeCmd
   .command('list')
   .description('List trades')
   .option('--open', 'show only open trades')
   .option('--date <date>', 'specific date or "today"')
   .option('--ticker <ticker>', 'filter by ticker')
+  .option('--account <name>', 'filter by account')
+  .option('--tag <tags>', 'filter by tag (all must match)', collectTags, [])
+  .option('--quotes <source>', 'with --open: "yahoo" (default) or a quote file')
   .action(async (options) => {
     try {
       const trades = await db.getTrades(options);
@@ -272,23 +691,61 @@ tradeCmd
         console.log('No trades found.');
         return;
       }
+
+      if (options.open) {
+        try {
+          await new HorseyQuotes(db, HorseyQuotes.createQuoteProvider(options.quotes)).markTrades(trades);
+        } catch (error) {
+          console.log(`⚠️  Quotes unavailable: ${error.message}`);
+        }
+
+        const rows = trades.map(t => [
+          t.id,
+          t.ticker,
+          t.direction,
+          formatInstrument(t),
+          formatPrice(t, t.entry_price),
+          t.mark ? String(t.mark.openSize) : '-',
+          t.mark ? formatPrice(t, t.mark.price) : '-',
+          formatMoney(t.mark && t.mark.unrealized),
+          formatMoney(t.mark && t.mark.dayPnL),
+          t.setup_type,
+          t.tags.join(',')
+        ]);
+
+        console.log('\n📈 OPEN POSITIONS');
+        console.log(formatTable(
+          ['ID', 'Ticker', 'Dir', 'Inst', 'Entry', 'Open', 'Mark', 'Unrealized', 'Day P&L', 'Setup', 'Tags'],
+          rows
+        ));
+
+        const marked = trades.filter(t => t.mark);
+        if (marked.length > 0) {
+          const unrealized = marked.reduce((sum, t) => sum + t.mark.unrealized, 0);
+          const day = marked.reduce((sum, t) => sum + (t.mark.dayPnL || 0), 0);
+          const unpriced = trades.length - marked.length;
+          console.log(`\nTotals: $${unrealized.toFixed(2)} unrealized, $${day.toFixed(2)} day P&L${unpriced > 0 ? ` (${unpriced} unpriced)` : ''}`);
+        }
+        return;
+      }
       
       const rows = trades.map(t => [
         t.id,
         t.ticker,
         t.direction,
-        t.instrument,
-        `$${t.entry_price.toFixed(2)}`,
-        t.exit_price ? `$${t.exit_price.toFixed(2)}` : '-',
+        formatInstrument(t),
+        formatPrice(t, t.entry_price),
+        t.exit_price ? formatPrice(t, t.exit_price) : '-',
         t.pnl ? `$${t.pnl.toFixed(2)}` : 'OPEN',
         t.setup_type,
+        t.tags.join(','),
         t.status,
         new Date(t.entry_time).toLocaleDateString()
       ]);
       
       console.log('\n📈 TRADES');
       console.log(formatTable(
-        ['ID', 'Ticker', 'Dir', 'Inst', 'Entry', 'Exit', 'P&L', 'Setup', 'Status', 'Date'],
+        ['ID', 'Ticker', 'Dir', 'Inst', 'Entry', 'Exit', 'P&L', 'Setup', 'Tags', 'Status', 'Date'],
         rows
       ));
       
@@ -305,6 +762,52 @@ tradeCmd
     }
   });
 
+tradeCmd
+  .command('attach <id> <image>')
+  .description('Attach a chart screenshot to a trade')
+  .option('--caption <caption>', 'short caption')
+  .action(async (id, image, options) => {
+    try {
+      const attachment = await new HorseyAttachments(db).attach({ tradeId: parseInt(id) }, image, options);
+      if (attachment.duplicate) {
+        console.log(`ℹ️  ${attachment.original_name} is already attached to trade #${id}`);
+        return;
+      }
+      console.log(`📎 Attached ${attachment.original_name} to trade #${id} (${attachment.width}x${attachment.height}, ${attachment.sha256.slice(0, 12)})`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+tradeCmd
+  .command('recalc')
+  .description('Recompute P&L for every closed trade')
+  .action(async () => {
+    try {
+      const { checked, changed } = await db.recalcTrades();
+
+      if (changed.length > 0) {
+        const rows = changed.map(t => [
+          t.id,
+          t.ticker,
+          t.direction,
+          t.instrument,
+          t.oldPnl !== null ? `$${t.oldPnl.toFixed(2)}` : '-',
+          `$${t.pnl.toFixed(2)}`,
+          t.oldRR !== null ? t.oldRR.toFixed(2) : '-',
+          t.actual_rr !== null ? t.actual_rr.toFixed(2) : '-'
+        ]);
+
+        console.log('\n🔁 RECALCULATED');
+        console.log(formatTable(['ID', 'Ticker', 'Dir', 'Inst', 'Old P&L', 'New P&L', 'Old R:R', 'New R:R'], rows));
+      }
+
+      console.log(`✅ Checked ${checked} trades with exits, updated ${changed.length}`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
 // Add main journal command  
 const journalCmd = program.command('journal').alias('j').description('Trading journal');
 
@@ -334,6 +837,72 @@ journalCmd
     }
   });
 
+journalCmd
+  .command('edit <date>')
+  .description('Edit a journal day (YYYY-MM-DD or "today")')
+  .option('--plan <plan>', 'premarket plan')
+  .option('--review <review>', 'postmarket review')
+  .option('--context <context>', 'market context')
+  .option('--grade <grade>', 'trading grade A-F')
+  .action(async (date, options) => {
+    try {
+      const day = date === 'today' ? calendar.today() : date;
+      const journal = await db.getJournal(day);
+      if (!journal) {
+        console.error(`❌ No journal entry for ${day}`);
+        return;
+      }
+
+      const result = await db.updateRecord('journal', journal.id, {
+        premarket_plan: options.plan,
+        postmarket_review: options.review,
+        market_context: options.context,
+        grade: options.grade
+      });
+      printEdit(`journal ${day}`, result);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+journalCmd
+  .command('delete <date>')
+  .description('Delete a journal day (undo with "horsey undo")')
+  .action(async (date) => {
+    try {
+      const day = date === 'today' ? calendar.today() : date;
+      const journal = await db.getJournal(day);
+      if (!journal) {
+        console.error(`❌ No journal entry for ${day}`);
+        return;
+      }
+
+      await db.deleteRecord('journal', journal.id);
+      console.log(`🗑️  Deleted journal ${day}`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+journalCmd
+  .command('attach <date> <image>')
+  .description('Attach a chart screenshot to a journal day (YYYY-MM-DD or "today")')
+  .option('--caption <caption>', 'short caption')
+  .action(async (date, image, options) => {
+    try {
+      const journalDate = date === 'today' ? null : date;
+      const attachment = await new HorseyAttachments(db).attach({ journalDate }, image, options);
+      const label = journalDate || 'today';
+      if (attachment.duplicate) {
+        console.log(`ℹ️  ${attachment.original_name} is already attached to ${label}`);
+        return;
+      }
+      console.log(`📎 Attached ${attachment.original_name} to journal ${label} (${attachment.width}x${attachment.height}, ${attachment.sha256.slice(0, 12)})`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
 journalCmd
   .command('show')
   .description('Show journal entry')
@@ -368,84 +937,254 @@ journalCmd
       if (journal.grade) {
         console.log(`\n📈 GRADE: ${journal.grade}`);
       }
+
+      if (journal.attachments.length > 0) {
+        const attachments = new HorseyAttachments(db);
+        console.log('\n📎 CHARTS:');
+        journal.attachments.forEach(a => console.log(`  ${a.caption || a.original_name} - ${attachments.filePath(a)}`));
+      }
     } catch (error) {
       console.error('❌ Error:', error.message);
     }
   });
 
 // Stats commands
-program
+const statsCmd = addStatsFilters(program
   .command('stats')
   .alias('s')
-  .description('Trading statistics')
-  .option('--period <period>', 'today, week, month, or all', 'all')
-  .option('--ticker <ticker>', 'filter by ticker')
+  .description('Trading statistics'))
+  .option('--quotes <source>', 'mark open positions: "yahoo" (default) or a quote file')
+  .option('--advanced', 'add equity curve, drawdown and risk-adjusted metrics')
   .action(async (options) => {
     try {
-      const result = await stats.getStats(options.period, options.ticker);
+      const filters = statsFilters(options);
+      const result = await stats.getStats(filters.period, null, filters);
+      result.account = options.account;
+      result.range = stats.getRange(filters).label;
+      result.equity = await db.getAccountEquity(options.account);
+      result.marks = await stats.getMarks(new HorseyQuotes(db, HorseyQuotes.createQuoteProvider(options.quotes)), { account: options.account, tag: options.tag });
       console.log(stats.formatStats(result));
+
+      if (options.advanced) {
+        const advanced = await stats.getAdvancedStats(filters.period, null, filters);
+        console.log('\n' + stats.formatAdvancedStats(advanced));
+      }
     } catch (error) {
       console.error('❌ Error:', error.message);
     }
   });
 
-program
+// The filters are declared here for --help, but "stats" parses them
+// wherever they appear, so they're read from there
+addStatsFilters(statsCmd
+  .command('compare <periodA> <periodB>')
+  .description('Compare two periods side by side, e.g. "stats compare 2026-Q2 2026-Q3"'), { range: false })
+  .action(async (periodA, periodB, options, command) => {
+    try {
+      const { period, from, to, ...filters } = statsFilters(command.parent.opts());
+      if (from || to || period !== 'all') {
+        console.error('❌ Give the two periods to compare instead of --period/--from/--to');
+        return;
+      }
+      const comparison = await stats.comparePeriods(periodA, periodB, filters);
+      console.log(stats.formatComparison(comparison));
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+addStatsFilters(program
   .command('setups')
-  .description('Setup analysis')
-  .action(async () => {
+  .description('Setup analysis'))
+  .action(async (options) => {
     try {
-      const setupStats = await stats.getSetupAnalysis();
+      const setupStats = await stats.getSetupAnalysis(null, statsFilters(options));
       console.log(stats.formatSetupAnalysis(setupStats));
     } catch (error) {
       console.error('❌ Error:', error.message);
     }
   });
 
-program
+addStatsFilters(program
+  .command('tags')
+  .description('Tag analysis'))
+  .action(async (options) => {
+    try {
+      const tagStats = await stats.getTagAnalysis(null, statsFilters(options));
+      console.log(stats.formatTagAnalysis(tagStats));
+
+      const tags = await db.getTags();
+      if (tags.length > 0) {
+        const rows = tags.map(t => [t.name, String(t.trades), String(t.narratives), String(t.watchlist)]);
+        console.log(formatTable(['Tag', 'Trades', 'Narratives', 'Watchlist'], rows));
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+addStatsFilters(program
   .command('streaks')
-  .description('Winning/losing streaks')
-  .action(async () => {
+  .description('Winning/losing streaks'))
+  .action(async (options) => {
     try {
-      const streaks = await stats.getStreaks();
+      const streaks = await stats.getStreaks(statsFilters(options));
       console.log(stats.formatStreaks(streaks));
     } catch (error) {
       console.error('❌ Error:', error.message);
     }
   });
 
-// Dashboard command
-program
-  .command('generate')
-  .alias('dash')
-  .description('Generate HTML dashboard')
-  .action(async () => {
+addStatsFilters(program
+  .command('rmultiples')
+  .alias('r')
+  .description('R-multiple distribution and expectancy'))
+  .action(async (options) => {
     try {
-      const path = await dashboard.save();
-      console.log(`✅ Dashboard generated: ${path}`);
-      console.log('🌐 Will be served at: narada.galigutta.com/horsey/');
+      const filters = statsFilters(options);
+      const result = await stats.getStats(filters.period, null, filters);
+      console.log(stats.formatRMultiples(result.rMultiples));
     } catch (error) {
       console.error('❌ Error:', error.message);
     }
   });
 
-// Paper trades
-const paperCmd = program.command('paper').alias('p').description('Paper trades (muscle building)');
-
-paperCmd
-  .command('open <ticker> <direction> <instrument> <entry_price> <size>')
-  .description('Open a paper trade')
-  .option('--setup <setup>', 'setup type', 'other')
-  .option('--narrative <id>', 'narrative ID', parseInt)
-  .option('--notes <notes>', 'trade notes')
-  .action(async (ticker, direction, instrument, entryPrice, size, options) => {
+addStatsFilters(program
+  .command('excursions')
+  .description('Measure MAE/MFE of closed trades from intraday bars, then report'))
+  .option('--bars <path>', 'bar CSV, or a directory of <TICKER>_<interval>.csv / <TICKER>_<date>_<interval>.csv files (without it, just report)')
+  .option('--interval <list>', 'bar intervals to try, in order', HorseyExcursions.INTERVALS.join(','))
+  .option('--force', 're-measure trades that already have excursions')
+  .option('--dry-run', 'show what would be stored without storing it')
+  .action(async (options) => {
+    try {
+      if (options.bars) {
+        const results = await new HorseyExcursions(db, new CsvBarSource(options.bars)).run({
+          ticker: options.ticker,
+          intervals: options.interval.split(',').map(i => i.trim()).filter(Boolean),
+          force: options.force,
+          dryRun: options.dryRun
+        });
+
+        if (results.length === 0) {
+          console.log('No closed trades to measure.');
+        } else {
+          const rows = results.map(r => [
+            r.trade.id,
+            r.trade.ticker,
+            formatInstrument(r.trade),
+            formatMoney(r.trade.pnl),
+            r.excursion ? formatMoney(r.excursion.mae) : '',
+            r.excursion ? formatMoney(r.excursion.mfe) : '',
+            r.interval || r.skipped
+          ]);
+          console.log(`\n🌡️  EXCURSIONS${options.dryRun ? ' (dry run)' : ''}`);
+          console.log(formatTable(['ID', 'Ticker', 'Inst', 'P&L', 'MAE', 'MFE', 'Bars'], rows));
+          const measured = results.filter(r => r.excursion).length;
+          console.log(`\n${measured} of ${results.length} trade(s) ${options.dryRun ? 'measurable' : 'measured'}\n`);
+        }
+      }
+
+      const filters = statsFilters(options);
+      const result = await stats.getStats(filters.period, null, filters);
+      console.log(stats.formatExcursions(result.excursions));
+
+      const points = result.excursions.points;
+      if (points.length > 0) {
+        const rows = points.map(p => [
+          p.id,
+          p.ticker,
+          formatMoney(p.pnl),
+          formatMoney(p.mae) + (p.maeR !== null ? ` (${p.maeR}R)` : ''),
+          formatMoney(p.mfe) + (p.mfeR !== null ? ` (${p.mfeR}R)` : ''),
+          p.efficiency !== null ? `${p.efficiency}%` : '-'
+        ]);
+        console.log(formatTable(['ID', 'Ticker', 'P&L', 'MAE', 'MFE', 'Exit Eff.'], rows));
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+// Helper to print a cross-tab as P&L (trade count) per cell, skipping
+// buckets no row has trades in
+function formatHeatmap(crossTab) {
+  const rows = Object.entries(crossTab.rows);
+  const columns = crossTab.columns.filter(c => rows.some(([, cells]) => cells[c].totalTrades > 0));
+  return formatTable(['Instrument', ...columns], rows.map(([instrument, cells]) => [
+    instrument,
+    ...columns.map(c => (cells[c].totalTrades > 0 ? `${formatMoney(cells[c].totalPnL)} (${cells[c].totalTrades})` : ''))
+  ]));
+}
+
+addStatsFilters(program
+  .command('analyze')
+  .description('P&L by entry time, holding period, instrument and direction'))
+  .option('--bucket <minutes>', `entry-time bucket (${HorseyStats.TIME_BUCKETS.join(', ')})`, '30')
+  .option('--hold <minutes>', 'holding-period bucket edges in minutes', HorseyStats.HOLD_BUCKETS.join(','))
+  .action(async (options) => {
+    try {
+      const analysis = await stats.getTimeAnalysis(statsFilters(options), {
+        bucket: parseInt(options.bucket),
+        hold: options.hold.split(',').map(m => parseFloat(m))
+      });
+      console.log(stats.formatTimeAnalysis(analysis));
+
+      if (analysis.totalTrades > 0) {
+        console.log(`\n🔥 Instrument × entry time (${analysis.bucket} min)`);
+        console.log(formatHeatmap(analysis.instrumentByTime));
+        console.log('\n🔥 Instrument × holding period');
+        console.log(formatHeatmap(analysis.instrumentByHolding));
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+// Dashboard command
+program
+  .command('generate')
+  .alias('dash')
+  .description('Generate HTML dashboard')
+  .option('--account <name>', 'only show one account')
+  .option('--quotes <source>', 'mark open positions: "yahoo" (default) or a quote file')
+  .action(async (options) => {
+    try {
+      const quotes = new HorseyQuotes(db, HorseyQuotes.createQuoteProvider(options.quotes));
+      const path = await dashboard.save({ account: options.account, quotes });
+      console.log(`✅ Dashboard generated: ${path}`);
+      console.log('🌐 Will be served at: narada.galigutta.com/horsey/');
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+// Paper trades
+const paperCmd = program.command('paper').alias('p').description('Paper trades (muscle building)');
+
+paperCmd
+  .command('open <ticker> <direction> <instrument> <entry_price> <size>')
+  .description('Open a paper trade')
+  .option('--setup <setup>', 'setup type', 'other')
+  .option('--narrative <id>', 'narrative ID', parseInt)
+  .option('--notes <notes>', 'trade notes')
+  .option('--fees <schedule>', 'fee schedule name (default schedule if omitted)')
+  .option('--legs <legs>', 'option legs, e.g. "+1 SPY241018C00580000, -1 SPY241018C00585000"')
+  .option('--credit', 'spread was opened for a net credit')
+  .option('--account <name>', 'account (paper trades are unassigned if omitted)')
+  .option('--tag <tags>', 'tag (comma-separated or repeated)', collectTags, [])
+  .action(async (ticker, direction, instrument, entryPrice, size, options) => {
     try {
       const validDirections = ['long', 'short'];
-      const validInstruments = ['shares', 'calls', 'puts', '0dte-calls', '0dte-puts', 'csp'];
       if (!validDirections.includes(direction)) { console.error('❌ Direction must be: long, short'); return; }
-      if (!validInstruments.includes(instrument)) { console.error('❌ Instrument must be: shares, calls, puts, 0dte-calls, 0dte-puts, csp'); return; }
+      if (!INSTRUMENTS.includes(instrument)) { console.error(`❌ Instrument must be: ${INSTRUMENTS.join(', ')}`); return; }
+
+      const resolved = resolveLegs(ticker, options.legs);
+      ticker = resolved.ticker;
       
       const id = await db.openTrade(ticker, direction, instrument, parseFloat(entryPrice), parseInt(size), {
-        setup: options.setup, narrative: options.narrative, notes: options.notes, paper: true
+        setup: options.setup, narrative: options.narrative, notes: options.notes, fees: options.fees,
+        legs: resolved.legs, credit: options.credit, account: options.account, tags: options.tag, paper: true
       });
       const mult = instrument === 'shares' ? 1 : 100;
       console.log(`📝 Paper trade #${id}: ${direction.toUpperCase()} ${ticker.toUpperCase()} ${size}x ${instrument} @ $${entryPrice}`);
@@ -471,19 +1210,20 @@ paperCmd
   .command('list')
   .description('List paper trades')
   .option('--open', 'show only open')
+  .option('--tag <tags>', 'filter by tag (all must match)', collectTags, [])
   .action(async (options) => {
     try {
       const trades = await db.getTrades({ ...options, paper: true });
       if (trades.length === 0) { console.log('No paper trades.'); return; }
       const rows = trades.map(t => [
-        t.id, t.ticker, t.direction, t.instrument, t.size,
-        '$' + t.entry_price.toFixed(2),
-        t.exit_price ? '$' + t.exit_price.toFixed(2) : '-',
+        t.id, t.ticker, t.direction, formatInstrument(t), t.size,
+        formatPrice(t, t.entry_price),
+        t.exit_price ? formatPrice(t, t.exit_price) : '-',
         t.pnl ? '$' + t.pnl.toFixed(2) : 'OPEN',
-        t.setup_type, t.status
+        t.setup_type, t.tags.join(','), t.status
       ]);
       console.log('\n📝 PAPER TRADES');
-      const header = ['ID', 'Ticker', 'Dir', 'Inst', 'Qty', 'Entry', 'Exit', 'P&L', 'Setup', 'Status'];
+      const header = ['ID', 'Ticker', 'Dir', 'Inst', 'Qty', 'Entry', 'Exit', 'P&L', 'Setup', 'Tags', 'Status'];
       const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
       const line = '+' + widths.map(w => '-'.repeat(w + 2)).join('+') + '+';
       console.log(line);
@@ -496,6 +1236,685 @@ paperCmd
     }
   });
 
+// Broker statement import
+program
+  .command('import <file>')
+  .description('Import broker executions and match them into trades')
+  .option('--format <format>', HorseyImporter.FORMATS.join(', '), 'generic-csv')
+  .option('--account <name>', 'account to import into (default account if omitted)')
+  .option('--dry-run', 'preview the matched trades without writing anything')
+  .action(async (file, options) => {
+    try {
+      const importer = new HorseyImporter(db);
+      const content = fs.readFileSync(file, 'utf8');
+      const fills = importer.parse(content, options.format);
+      const steps = await importer.plan(fills, { account: options.account });
+
+      const describe = (step) => {
+        if (step.type === 'open') return `open ${step.ref} (${step.instrument})`;
+        if (step.type === 'add' || step.type === 'exit') return `${step.type} ${typeof step.ref === 'number' ? '#' : ''}${step.ref}`;
+        if (step.type === 'skipped') return `skipped: ${step.reason}`;
+        return 'duplicate';
+      };
+
+      const rows = steps.map(step => [
+        new Date(step.fill.executedAt.replace(' ', 'T') + 'Z').toLocaleString(),
+        step.fill.contract ? step.fill.contract.occ_symbol : step.fill.ticker,
+        step.fill.action,
+        step.size,
+        `$${step.fill.price.toFixed(2)}`,
+        step.fees === null || step.fees === undefined ? '-' : `$${step.fees.toFixed(2)}`,
+        describe(step),
+        step.execId || step.fill.execId
+      ]);
+
+      if (options.dryRun) {
+        console.log(`\n🔍 IMPORT PREVIEW - ${fills.length} fills from ${file}`);
+        console.log(formatTable(['Time', 'Symbol', 'Side', 'Qty', 'Price', 'Fees', 'Action', 'Exec ID'], rows));
+        console.log('\nDry run: nothing was written.');
+        return;
+      }
+
+      const result = await importer.apply(steps, { account: options.account, format: options.format });
+      console.log(`✅ Imported ${result.fills} fills (${result.opened} new trades, ${result.tradeIds.length} trades touched), skipped ${result.duplicates} duplicates${result.skipped ? ` and ${result.skipped} unsupported` : ''}`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+// Search
+program
+  .command('search <query>')
+  .description('Search notes, lessons, narratives and journal entries')
+  .option('--ticker <ticker>', 'filter by ticker')
+  .option('--from <date>', 'start date (YYYY-MM-DD)')
+  .option('--to <date>', 'end date (YYYY-MM-DD)')
+  .option('--type <type>', 'trade, narrative, or journal')
+  .option('--limit <n>', 'max results', parseInt, 20)
+  .action(async (query, options) => {
+    try {
+      const highlight = process.stdout.isTTY ? ['\x1b[1;33m', '\x1b[0m'] : ['[', ']'];
+      const results = await db.search(query, {
+        ticker: options.ticker,
+        from: options.from,
+        to: options.to,
+        entity: options.type,
+        limit: options.limit,
+        highlight
+      });
+
+      if (results.length === 0) {
+        console.log(`No matches for "${query}".`);
+        return;
+      }
+
+      console.log(`\n🔎 SEARCH "${query}" - ${results.length} result${results.length !== 1 ? 's' : ''}`);
+      console.log('═'.repeat(50));
+      results.forEach(r => {
+        const label = r.entity === 'journal' ? `journal ${r.date}` : `${r.entity} #${r.entity_id} ${r.ticker} ${r.date}`;
+        console.log(`\n${label} · ${r.field.replace(/_/g, ' ')}`);
+        console.log(`  ${r.snippet.replace(/\s*\n\s*/g, ' ')}`);
+      });
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+// Tax lot report
+program
+  .command('tax')
+  .description('Form 8949-style capital gains report with wash-sale adjustments')
+  .option('--year <year>', 'tax year', String(new Date().getFullYear()))
+  .option('--account <name>', 'filter by account (wash sales still span all accounts)')
+  .option('-o, --out <file>', 'write the Form 8949 CSV to a file')
+  .action(async (options) => {
+    try {
+      const tax = new HorseyTax(db);
+      const report = await tax.getReport(parseInt(options.year, 10), { account: options.account });
+
+      if (options.out) {
+        fs.writeFileSync(options.out, tax.formatCsv(report));
+      }
+
+      const money = (value) => `$${value.toFixed(2)}`;
+      const rows = report.rows.map(r => [
+        r.description,
+        r.acquired,
+        r.sold,
+        money(r.proceeds),
+        money(r.basis),
+        r.code || '-',
+        r.adjustment ? money(r.adjustment) : '-',
+        money(r.gain),
+        r.term
+      ]);
+
+      console.log(`\n🧾 TAX LOTS - ${report.year}${options.account ? ` (${options.account})` : ''}`);
+      console.log(formatTable(['Description', 'Acquired', 'Sold', 'Proceeds', 'Basis', 'Code', 'Adj', 'Gain/Loss', 'Term'], rows));
+
+      [['Short-term', report.shortTerm], ['Long-term', report.longTerm]].forEach(([label, t]) => {
+        console.log(`${label}: ${t.count} lots | Proceeds ${money(t.proceeds)} | Basis ${money(t.basis)} | Adj ${money(t.adjustment)} | Gain ${money(t.gain)}`);
+      });
+      if (report.washSales > 0) {
+        console.log(`⚠️  ${report.washSales} wash sale${report.washSales !== 1 ? 's' : ''}: ${money(report.disallowed)} of losses disallowed and carried into replacement basis`);
+      }
+      if (options.out) {
+        console.log(`✅ Wrote ${report.rows.length} rows to ${options.out}`);
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+// Export and restore
+program
+  .command('export')
+  .description('Export narratives, watchlist, trades, journal and playbook')
+  .option('--format <format>', HorseyBackup.FORMATS.join(', '), 'json')
+  .option('--from <date>', 'start date (YYYY-MM-DD)')
+  .option('--to <date>', 'end date (YYYY-MM-DD)')
+  .option('-o, --out <path>', 'output file (directory for csv); stdout if omitted')
+  .action(async (options) => {
+    try {
+      const backup = new HorseyBackup(db);
+      const result = await backup.export(options.format, options);
+
+      if (result.content) {
+        process.stdout.write(result.content);
+        return;
+      }
+
+      const counts = HorseyBackup.TABLES
+        .filter(table => result.data.tables[table].length > 0)
+        .map(table => `${result.data.tables[table].length} ${table}`);
+      console.log(`✅ Exported ${counts.join(', ') || 'nothing'} to ${options.out}`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+program
+  .command('restore <file>')
+  .description('Rebuild a database from an export (json, ndjson or csv directory)')
+  .option('--db <path>', 'database to restore into (default: data/horsey.db)')
+  .option('--force', 'replace existing data (a .bak copy is kept)')
+  .action(async (file, options) => {
+    const target = options.db ? new HorseyDB(options.db) : db;
+    try {
+      const backup = new HorseyBackup(target);
+      const data = backup.read(file);
+      const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+      const backupPath = `${target.path}.${stamp}.bak`;
+      const result = await backup.restore(data, { force: options.force, backupPath });
+
+      const rows = HorseyBackup.TABLES.map(table => [table, String(result.counts[table])]);
+      console.log(`\n♻️  RESTORED ${file}${data.exported_at ? ` (exported ${data.exported_at})` : ''}`);
+      console.log(formatTable(['Table', 'Rows'], rows));
+      if (result.orphaned > 0) {
+        console.log(`⚠️  ${result.orphaned} reference(s) pointed outside the export and were cleared`);
+      }
+      if (options.force && fs.existsSync(backupPath)) {
+        console.log(`Previous data saved to ${backupPath}`);
+      }
+      console.log(`✅ Restored into ${target.path}`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    } finally {
+      if (target !== db) target.close();
+    }
+  });
+
+// Price-level alerts
+const alertsCmd = program.command('alerts').description('Price-level alerts from watchlist and narrative levels');
+
+alertsCmd
+  .command('run')
+  .description('Poll quotes and fire when a level is crossed (each level fires once)')
+  .option('--interval <seconds>', 'seconds between polls', parseFloat, 60)
+  .option('--once', 'poll once and exit (for cron)')
+  .option('--quotes <source>', '"yahoo" (default) or a quote file')
+  .option('--bell', 'ring the terminal bell')
+  .option('--notify [command]', 'desktop notification command (default notify-send)')
+  .option('--webhook <url>', 'POST each alert as JSON')
+  .option('--log <file>', 'append each alert to a log file')
+  .option('--trigger', 'mark watchlist items triggered when a level breaks with their bias')
+  .action(async (options) => {
+    try {
+      if (!(options.interval > 0)) {
+        console.error('❌ Interval must be a positive number of seconds');
+        return;
+      }
+
+      const sinks = [];
+      if (options.bell) sinks.push(new HorseyAlerts.BellSink());
+      if (options.notify) sinks.push(new HorseyAlerts.CommandSink(options.notify === true ? undefined : options.notify));
+      if (options.webhook) sinks.push(new HorseyAlerts.WebhookSink(options.webhook));
+      if (options.log) sinks.push(new HorseyAlerts.LogFileSink(options.log));
+
+      const alerts = new HorseyAlerts(db, HorseyQuotes.createQuoteProvider(options.quotes), { sinks, trigger: options.trigger });
+      const onPoll = (result) => {
+        const stamp = new Date().toLocaleTimeString();
+        if (result.error) {
+          console.error(`❌ ${stamp} poll failed: ${result.error.message}`);
+          return;
+        }
+        result.fired.forEach(alert => {
+          // The bell sink already printed the message
+          if (!options.bell) console.log(alert.message);
+          if (alert.triggered) console.log(`   ✅ watchlist #${alert.source_id} marked triggered`);
+          alert.errors.forEach(e => console.error(`   ⚠️  ${e}`));
+        });
+        if (result.fired.length === 0 && !options.once) {
+          console.log(`${stamp} checked ${result.tickers} ticker(s), nothing crossed`);
+        }
+      };
+
+      if (options.once) {
+        const result = await alerts.poll();
+        onPoll(result);
+        console.log(`✅ Checked ${result.tickers} ticker(s), ${result.fired.length} alert(s) fired`);
+        return;
+      }
+
+      console.log(`🔔 Watching levels every ${options.interval}s (Ctrl-C to stop)`);
+      process.once('SIGINT', () => alerts.stop());
+      process.once('SIGTERM', () => alerts.stop());
+      await alerts.run({ interval: options.interval, onPoll });
+      console.log('\n👋 Stopped watching');
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+alertsCmd
+  .command('list')
+  .description('Show alerts that have fired')
+  .option('--limit <n>', 'how many to show', parseInt, 50)
+  .action(async (options) => {
+    try {
+      const fired = await new HorseyAlerts(db, null).getFired(options.limit);
+      if (fired.length === 0) {
+        console.log('No alerts have fired yet.');
+        return;
+      }
+
+      const rows = fired.map(a => [
+        a.id,
+        a.fired_at,
+        a.ticker,
+        a.kind,
+        a.direction,
+        `$${a.level.toFixed(2)}`,
+        `$${a.price.toFixed(2)}`,
+        `${a.source} #${a.source_id}`
+      ]);
+
+      console.log('\n🔔 FIRED ALERTS');
+      console.log(formatTable(['ID', 'Fired (UTC)', 'Ticker', 'Kind', 'Dir', 'Level', 'Price', 'Source'], rows));
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+// Undo and history
+program
+  .command('undo')
+  .description('Undo the most recent change (one command at a time)')
+  .action(async () => {
+    try {
+      const entries = await db.undo();
+      if (entries.length === 0) {
+        console.log('Nothing to undo.');
+        return;
+      }
+
+      console.log('↩️  Undid:');
+      [...entries].reverse().forEach(e => console.log(`   ${e.action} ${e.entity} #${e.entity_id}`));
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+program
+  .command('history <entity> <id>')
+  .description('Show the change history of a trade, narrative, watchlist item or journal day')
+  .action(async (entity, id) => {
+    try {
+      if (!['trade', 'narrative', 'watchlist', 'journal'].includes(entity)) {
+        console.error('❌ Entity must be trade, narrative, watchlist or journal');
+        return;
+      }
+
+      // Journal days are addressed by date
+      let recordId = parseInt(id);
+      if (entity === 'journal' && /^\d{4}-\d{2}-\d{2}$/.test(id)) {
+        const journal = await db.get('SELECT id FROM journal WHERE date = ?', [id]);
+        if (!journal) {
+          console.error(`❌ No journal entry for ${id}`);
+          return;
+        }
+        recordId = journal.id;
+      }
+
+      const history = await db.getHistory(entity, recordId);
+      if (history.length === 0) {
+        console.log(`No history recorded for ${entity} ${id}.`);
+        return;
+      }
+
+      console.log(`\n🕓 HISTORY - ${entity} ${id}`);
+      console.log('═'.repeat(50));
+      history.forEach(entry => {
+        const subject = entry.entity === entity ? '' : ` ${entry.entity} #${entry.entity_id}`;
+        const undone = entry.undone_at ? ' (undone)' : '';
+        console.log(`${entry.created_at}  ${entry.action}${subject}${undone}`);
+        if (entry.reason) console.log(`   reason: ${entry.reason}`);
+
+        if (entry.action === 'create') return;
+        const before = JSON.parse(entry.before);
+        const after = JSON.parse(entry.after);
+        Object.keys(after).forEach(field => {
+          console.log(`   ${field}: ${formatAuditValue(before[field])} → ${formatAuditValue(after[field])}`);
+        });
+      });
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+// Accounts and cash ledger
+const accountCmd = program.command('account').alias('a').description('Manage trading accounts and cash');
+
+accountCmd
+  .command('add <name>')
+  .description('Add a trading account')
+  .option('--type <type>', 'margin, cash, ira, or prop-eval', 'margin')
+  .option('--broker <broker>', 'broker name')
+  .option('--fees <schedule>', 'fee schedule for this account (default schedule if omitted)')
+  .action(async (name, options) => {
+    try {
+      const validTypes = ['margin', 'cash', 'ira', 'prop-eval'];
+      if (!validTypes.includes(options.type)) {
+        console.error('❌ Type must be: margin, cash, ira, prop-eval');
+        return;
+      }
+
+      const id = await db.addAccount(name, options);
+      console.log(`✅ Added ${options.type} account "${name}" (#${id})`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+accountCmd
+  .command('list')
+  .description('List accounts with balances')
+  .action(async () => {
+    try {
+      const accounts = await db.getAccounts();
+
+      const rows = accounts.map(a => [
+        a.id,
+        a.name + (a.is_default ? ' *' : ''),
+        a.type,
+        a.broker || '',
+        a.fee_schedule || '',
+        a.status,
+        `$${a.balance.toFixed(2)}`
+      ]);
+
+      console.log('\n🏦 ACCOUNTS (* = default)');
+      console.log(formatTable(['ID', 'Name', 'Type', 'Broker', 'Fees', 'Status', 'Equity'], rows));
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+accountCmd
+  .command('default <name>')
+  .description('Set the default account')
+  .action(async (name) => {
+    try {
+      await db.setDefaultAccount(name);
+      console.log(`✅ Default account is now "${name}"`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+accountCmd
+  .command('deposit <name> <amount>')
+  .description('Record a cash deposit')
+  .option('--note <note>', 'ledger note')
+  .action(async (name, amount, options) => {
+    try {
+      await db.addLedgerEntry(name, 'deposit', parseFloat(amount), options.note);
+      console.log(`✅ Deposited $${parseFloat(amount).toFixed(2)} to ${name} (equity $${(await db.getAccountEquity(name)).toFixed(2)})`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+accountCmd
+  .command('withdraw <name> <amount>')
+  .description('Record a cash withdrawal')
+  .option('--note <note>', 'ledger note')
+  .action(async (name, amount, options) => {
+    try {
+      await db.addLedgerEntry(name, 'withdrawal', parseFloat(amount), options.note);
+      console.log(`✅ Withdrew $${parseFloat(amount).toFixed(2)} from ${name} (equity $${(await db.getAccountEquity(name)).toFixed(2)})`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+accountCmd
+  .command('ledger [name]')
+  .description('Show cash ledger with running balance')
+  .action(async (name) => {
+    try {
+      const ledger = await db.getLedger(name);
+
+      const rows = ledger.map(l => [
+        l.id,
+        new Date(l.entry_time).toLocaleDateString(),
+        l.type,
+        l.trade_id ? `#${l.trade_id} ${l.ticker}` : '',
+        `$${l.amount.toFixed(2)}`,
+        `$${l.balance.toFixed(2)}`,
+        l.note || ''
+      ]);
+
+      console.log(`\n📒 LEDGER - ${name || 'default account'}`);
+      console.log(formatTable(['ID', 'Date', 'Type', 'Trade', 'Amount', 'Balance', 'Note'], rows));
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+// Fee schedules
+const feesCmd = program.command('fees').description('Manage commission and fee schedules');
+
+feesCmd
+  .command('list')
+  .description('List fee schedules')
+  .action(async () => {
+    try {
+      const schedules = await db.getFeeSchedules();
+
+      const rows = schedules.map(f => [
+        f.id,
+        f.name + (f.is_default ? ' *' : ''),
+        describeSchedule(f)
+      ]);
+
+      console.log('\n💸 FEE SCHEDULES (* = default)');
+      console.log(formatTable(['ID', 'Name', 'Charges'], rows));
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+const feesSetCmd = feesCmd
+  .command('set <name>')
+  .description('Create or update a fee schedule');
+
+FEE_FIELDS.forEach(field => {
+  feesSetCmd.option(`--${field.replace(/_/g, '-')} <amount>`, field.replace(/_/g, ' '), parseFloat);
+});
+
+feesSetCmd.action(async (name, options) => {
+  try {
+    // commander camelCases the flags: --per-share -> perShare
+    const fields = {};
+    FEE_FIELDS.forEach(field => {
+      const key = field.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+      if (options[key] !== undefined) fields[field] = options[key];
+    });
+
+    const id = await db.saveFeeSchedule(name, fields);
+    console.log(`✅ Saved fee schedule "${name}" (#${id})`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+  }
+});
+
+feesCmd
+  .command('default <name>')
+  .description('Set the default fee schedule')
+  .action(async (name) => {
+    try {
+      await db.setDefaultFeeSchedule(name);
+      console.log(`✅ Default fee schedule is now "${name}"`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+// Risk policy
+const riskCmd = program.command('risk').description('Pre-trade risk rules checked by trade open');
+
+riskCmd
+  .command('set <rule> <limit>')
+  .description(`Set a risk rule (${Object.keys(HorseyRisk.RULES).join(', ')})`)
+  .option('--mode <mode>', 'warn or block (new rules warn)')
+  .action(async (rule, limit, options) => {
+    try {
+      const saved = await new HorseyRisk(db).setRule(rule, parseFloat(limit), options.mode);
+      console.log(`✅ ${HorseyRisk.RULES[rule].label}: ${formatRiskValue(rule, saved.value)} (${saved.mode})`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+riskCmd
+  .command('clear <rule>')
+  .description('Turn a risk rule off')
+  .action(async (rule) => {
+    try {
+      const result = await new HorseyRisk(db).clearRule(rule);
+      console.log(result.changes > 0 ? `✅ Cleared ${rule}` : `No ${rule} rule was set`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+riskCmd
+  .command('status')
+  .description("Risk rules and today's remaining budget")
+  .option('--account <name>', 'account (default account if omitted)')
+  .action(async (options) => {
+    try {
+      const { usage, rows } = await new HorseyRisk(db).getStatus(options.account);
+
+      console.log(`\n🛡️  RISK BUDGET - ${usage.account} ${usage.date}`);
+      console.log('═'.repeat(50));
+      console.log(formatTable(['Rule', 'Mode', 'Limit', 'Used', 'Left'], rows.map(r => [
+        r.label,
+        r.mode,
+        formatRiskValue(r.rule, r.limit),
+        formatRiskValue(r.rule, r.used),
+        r.rule === 'position-pct' ? (r.left === null ? '' : `${formatMoney(r.left)} notional`) : formatRiskValue(r.rule, r.left)
+      ])));
+      console.log(`\nRealized today: ${formatMoney(usage.realized)} | Open positions: ${usage.openPositions} | Equity: ${formatMoney(usage.equity)}`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+program
+  .command('size <ticker>')
+  .description('Size a position from entry, stop and a risk budget')
+  .requiredOption('--entry <price>', 'entry price (option premium for options)', parseFloat)
+  .requiredOption('--stop <price>', 'stop price', parseFloat)
+  .option('--risk <amount>', 'dollars to risk', parseFloat)
+  .option('--risk-pct <pct>', 'percent of account equity to risk', parseFloat)
+  .option('--target <price>', 'target price, for R:R', parseFloat)
+  .option('--instrument <instrument>', `${Object.keys(HorseyRisk.SIZEABLE).join(', ')}; options take premium prices`, 'shares')
+  .option('--account <name>', 'account for --risk-pct (default account if omitted)')
+  .option('--args', 'print only the trade open arguments, e.g. horsey trade open $(horsey size ... --args)')
+  .action(async (ticker, options) => {
+    try {
+      if ((options.risk === undefined) === (options.riskPct === undefined)) {
+        console.error('❌ Give one of --risk or --risk-pct');
+        return;
+      }
+
+      let budget = options.risk;
+      let equity = null;
+      if (options.riskPct !== undefined) {
+        equity = await db.getAccountEquity((await db.getAccount(options.account)).name);
+        budget = Math.round(equity * options.riskPct) / 100;
+      }
+
+      const symbol = ticker.toUpperCase();
+      const sized = sizePosition({
+        instrument: options.instrument, entry: options.entry, stop: options.stop, target: options.target ?? null, budget
+      });
+
+      // What trade open needs, ready to splice into its command line
+      const openArgs = (s) => [symbol, s.direction, s.instrument, options.entry, s.size, '--stop', options.stop]
+        .concat(options.target === undefined ? [] : ['--target', options.target])
+        .join(' ');
+
+      if (options.args) {
+        if (sized.size === 0) {
+          console.error(`❌ One unit risks ${formatMoney(sized.riskPerUnit)}, more than the ${formatMoney(budget)} budget`);
+          process.exitCode = 1;
+          return;
+        }
+        console.log(openArgs(sized));
+        return;
+      }
+
+      console.log(`\n📐 POSITION SIZE - ${symbol}`);
+      console.log('═'.repeat(50));
+      console.log(`Risk budget: ${formatMoney(budget)}${equity !== null ? ` (${options.riskPct}% of ${formatMoney(equity)} equity)` : ''}`);
+      console.log(`Entry $${options.entry} | Stop $${options.stop}${options.target !== undefined ? ` | Target $${options.target}` : ''}`);
+      console.log(formatTable(['Instrument', 'Dir', 'Size', 'Risk/Unit', 'Risk', 'Notional', 'R:R'], [[
+        sized.instrument,
+        sized.direction,
+        String(sized.size),
+        formatMoney(sized.riskPerUnit),
+        formatMoney(sized.risk),
+        formatMoney(sized.notional),
+        sized.rr === null ? '' : `${sized.rr.toFixed(2)}:1`
+      ]]));
+
+      if (sized.size === 0) {
+        console.log('\n⚠️  A size of 0 means one unit risks more than the budget');
+      } else {
+        console.log(`\nhorsey trade open ${openArgs(sized)}`);
+      }
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+// Database maintenance
+const dbCmd = program.command('db').description('Database maintenance');
+
+dbCmd
+  .command('migrate')
+  .description('Apply pending schema migrations')
+  .action(async () => {
+    try {
+      const applied = await db.ready();
+      const status = await db.getSchemaStatus();
+
+      if (applied.length === 0) {
+        console.log(`✅ Schema is up to date (v${status.currentVersion})`);
+        return;
+      }
+
+      applied.forEach(m => console.log(`  ↳ v${m.version} ${m.name}`));
+      console.log(`✅ Applied ${applied.length} migration${applied.length !== 1 ? 's' : ''}, schema now at v${status.currentVersion}`);
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
+dbCmd
+  .command('status')
+  .description('Show schema version and migrations')
+  .action(async () => {
+    try {
+      const status = await db.getSchemaStatus();
+
+      const rows = status.migrations.map(m => [
+        m.version,
+        m.name,
+        m.appliedAt ? 'applied' : 'pending',
+        m.appliedAt || '-'
+      ]);
+
+      console.log(`\n🗄️  SCHEMA v${status.currentVersion} (latest v${status.latestVersion})`);
+      console.log(formatTable(['Version', 'Name', 'State', 'Applied At'], rows));
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+    }
+  });
+
 // Parse and execute
 program.version('1.0.0');
 program.parse();
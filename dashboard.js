@@ -2,6 +2,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const { describeLegs } = require('./options');
+const HorseyAttachments = require('./attachments');
+const calendar = require('./calendar');
 
 class HorseyDashboard {
   constructor(db, stats) {
@@ -9,19 +12,27 @@ class HorseyDashboard {
     this.stats = stats;
   }
 
-  async generateHTML() {
-    const today = new Date().toISOString().split('T')[0];
-    const todayStats = await this.stats.getTodaysSummary();
-    const allTimeStats = await this.stats.getStats('all');
-    const setupAnalysis = await this.stats.getSetupAnalysis();
-    const streaks = await this.stats.getStreaks();
+  async generateHTML(options = {}) {
+    const today = calendar.today();
+    const filters = { account: options.account };
+    const todayStats = await this.stats.getTodaysSummary(filters, options.quotes);
+    const allTimeStats = await this.stats.getStats('all', null, filters);
+    const setupAnalysis = await this.stats.getSetupAnalysis(null, filters);
+    const streaks = await this.stats.getStreaks(filters);
+    const advanced = await this.stats.getAdvancedStats('all', null, filters);
+    const timeAnalysis = await this.stats.getTimeAnalysis(filters);
+    const pnlCalendar = await this.stats.getCalendar(filters);
+    const calendarJournals = {};
+    for (const date of Object.keys(pnlCalendar.days)) {
+      calendarJournals[date] = await this.db.getJournal(date);
+    }
     
-    const openTrades = await this.db.getTrades({ open: true });
-    const todaysClosedTrades = (await this.db.getTrades({ date: 'today' })).filter(t => t.status === 'closed');
+    const openTrades = await this.db.getTrades({ open: true, account: options.account });
+    const todaysClosedTrades = (await this.db.getTrades({ date: 'today', account: options.account })).filter(t => t.status === 'closed');
     const activeNarratives = await this.db.getNarratives({ active: true });
     const todaysWatchlist = await this.db.getWatchlist({ date: 'today' });
     const journal = await this.db.getJournal(today);
-    const recentTrades = (await this.db.getTrades({})).slice(0, 20); // Last 20 trades
+    const recentTrades = (await this.db.getTrades({ account: options.account })).slice(0, 20); // Last 20 trades
     const paperTrades = await this.db.getTrades({ paper: true });
 
     const html = `<!DOCTYPE html>
@@ -208,7 +219,133 @@ class HorseyDashboard {
             color: #888;
             text-transform: uppercase;
         }
+
+        .r-histogram {
+            display: flex;
+            align-items: flex-end;
+            gap: 6px;
+            height: 120px;
+            margin-top: 12px;
+        }
+
+        .r-bucket {
+            flex: 1;
+            display: flex;
+            flex-direction: column;
+            justify-content: flex-end;
+            height: 100%;
+            text-align: center;
+        }
+
+        .r-bar { min-height: 2px; border-radius: 2px 2px 0 0; }
+        .r-bar.positive { background: #00ff88; }
+        .r-bar.negative { background: #ff4444; }
+        .r-count { font-size: 11px; margin-top: 4px; }
+        .r-label { font-size: 9px; color: #888; }
+
+        .scatter { width: 100%; height: auto; }
+        .scatter .axis { stroke: #444; stroke-width: 1; }
+        .scatter .diagonal { stroke: #333; stroke-dasharray: 4 4; }
+        .scatter .axis-label { fill: #888; font-size: 10px; }
+        .dot-win { fill: #00ff88; fill-opacity: 0.8; }
+        .dot-loss { fill: #ff4444; fill-opacity: 0.8; }
+
+        .equity-chart { width: 100%; height: auto; }
+        .equity-chart .axis { stroke: #444; stroke-width: 1; }
+        .equity-chart .axis-label { fill: #888; font-size: 11px; }
+        .equity-line { fill: none; stroke: #00d4aa; stroke-width: 2; }
+        .drawdown-area { fill: #ff4444; fill-opacity: 0.35; stroke: #ff4444; stroke-width: 1; }
         
+        .heatmap {
+            width: 100%;
+            border-collapse: separate;
+            border-spacing: 2px;
+            font-size: 11px;
+        }
+
+        .heatmap th {
+            padding: 4px;
+            color: #888;
+            font-size: 10px;
+            font-weight: 500;
+            text-align: center;
+            white-space: nowrap;
+        }
+
+        .heatmap th:first-child { text-align: left; }
+
+        .heatmap td {
+            padding: 6px 4px;
+            text-align: center;
+            border-radius: 2px;
+            background: #1f1f1f;
+            white-space: nowrap;
+        }
+
+        .heatmap td.row-label {
+            background: none;
+            text-align: left;
+            color: #888;
+            text-transform: uppercase;
+            font-size: 10px;
+        }
+
+        .heatmap .count { display: block; font-size: 9px; color: #aaa; }
+
+        .cal-nav {
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            margin-bottom: 8px;
+        }
+
+        .cal-nav button {
+            background: #2a2a2a;
+            color: #e0e0e0;
+            border: 1px solid #404040;
+            border-radius: 3px;
+            padding: 2px 10px;
+            cursor: pointer;
+        }
+
+        .cal-nav button:disabled { opacity: 0.3; cursor: default; }
+        .cal-title { font-weight: 600; font-size: 14px; }
+        .cal-total { margin-left: auto; }
+
+        .cal {
+            width: 100%;
+            table-layout: fixed;
+            border-collapse: separate;
+            border-spacing: 3px;
+        }
+
+        .cal th {
+            color: #888;
+            font-size: 10px;
+            font-weight: 500;
+            text-transform: uppercase;
+            padding: 4px;
+        }
+
+        .cal td {
+            height: 64px;
+            vertical-align: top;
+            padding: 4px 6px;
+            border-radius: 3px;
+            background: #1f1f1f;
+        }
+
+        .cal td.cal-out { background: none; }
+        .cal td.cal-closed { background: #151515; color: #555; }
+        .cal td.cal-week { background: #2a2a2a; }
+        .cal td.cal-day { cursor: pointer; }
+        .cal td.cal-day:hover, .cal td.cal-selected { outline: 1px solid #00d4aa; }
+        .cal-date { font-size: 10px; color: #aaa; }
+        .cal-pnl { font-size: 13px; font-weight: 600; margin-top: 4px; }
+        .cal-meta { font-size: 10px; color: #ccc; display: flex; justify-content: space-between; }
+        .cal-grade { font-weight: 600; }
+        .cal-detail { margin-top: 12px; }
+
         .table {
             width: 100%;
             border-collapse: collapse;
@@ -253,6 +390,26 @@ class HorseyDashboard {
             text-decoration: underline;
         }
         
+        .thumbs {
+            display: flex;
+            gap: 4px;
+            flex-wrap: wrap;
+        }
+
+        .thumb {
+            height: 32px;
+            max-width: 64px;
+            object-fit: cover;
+            border: 1px solid #404040;
+            border-radius: 2px;
+            display: block;
+        }
+
+        .thumbs-large .thumb {
+            height: 72px;
+            max-width: 128px;
+        }
+
         .journal-text {
             background: #2a2a2a;
             border-radius: 4px;
@@ -292,7 +449,7 @@ class HorseyDashboard {
 </head>
 <body>
     <div class="container">
-        ${this.generateHeader(todayStats, allTimeStats, streaks)}
+        ${this.generateHeader(todayStats, allTimeStats, streaks, options.account)}
         
         <div class="grid">
             ${this.generateTodaysAction(openTrades, todaysClosedTrades)}
@@ -300,11 +457,21 @@ class HorseyDashboard {
             ${this.generateWatchlist(todaysWatchlist)}
             ${this.generatePerformance(allTimeStats)}
         </div>
+
+        ${this.generateEquityCurve(advanced)}
+
+        ${this.generateCalendar(pnlCalendar, calendarJournals)}
         
         <div class="grid">
             ${this.generateTradeLog(recentTrades)}
             ${this.generateJournal(journal)}
             ${this.generateSetupAnalysis(setupAnalysis)}
+            ${this.generateExcursions(allTimeStats.excursions)}
+        </div>
+
+        <div class="grid">
+            ${this.generateHeatmap(`🕐 P&L by Entry Time (${timeAnalysis.bucket} min)`, timeAnalysis.timeOfDay, timeAnalysis.instrumentByTime)}
+            ${this.generateHeatmap('⏳ P&L by Holding Period', timeAnalysis.holding, timeAnalysis.instrumentByHolding)}
         </div>
 
         ${this.generatePaperTrades(paperTrades)}
@@ -331,18 +498,25 @@ class HorseyDashboard {
     return html;
   }
 
-  generateHeader(todayStats, allTimeStats, streaks) {
+  generateHeader(todayStats, allTimeStats, streaks, account = null) {
     const todayPnL = todayStats.totalPnL || 0;
     const pnlClass = todayPnL > 0 ? 'positive' : todayPnL < 0 ? 'negative' : 'neutral';
     const winRate = allTimeStats.winRate || 0;
+    const equity = todayStats.equity || 0;
+    const marks = todayStats.marks && !todayStats.marks.error ? todayStats.marks : null;
+    const markClass = (value) => value > 0 ? 'positive' : value < 0 ? 'negative' : 'neutral';
     
     return `
     <div class="header">
         <div class="header-left">
             <h1>Horsey 🐴</h1>
-            <div class="stat-label">Day Trading Dashboard</div>
+            <div class="stat-label">${account ? `Account: ${account}` : 'Day Trading Dashboard'}</div>
         </div>
         <div class="header-stats">
+            <div class="stat-item">
+                <div class="stat-value mono">$${equity.toFixed(2)}</div>
+                <div class="stat-label">Equity</div>
+            </div>
             <div class="stat-item">
                 <div class="stat-value ${pnlClass} mono">$${todayPnL.toFixed(2)}</div>
                 <div class="stat-label">Today P&L</div>
@@ -355,6 +529,14 @@ class HorseyDashboard {
                 <div class="stat-value mono">${todayStats.openPositions || 0}</div>
                 <div class="stat-label">Open Positions</div>
             </div>
+            <div class="stat-item">
+                <div class="stat-value ${marks ? markClass(marks.unrealized) : 'neutral'} mono">${marks ? `$${marks.unrealized.toFixed(2)}` : '-'}</div>
+                <div class="stat-label">Unrealized</div>
+            </div>
+            <div class="stat-item">
+                <div class="stat-value ${marks ? markClass(marks.dayPnL) : 'neutral'} mono">${marks ? `$${marks.dayPnL.toFixed(2)}` : '-'}</div>
+                <div class="stat-label">Day P&L</div>
+            </div>
             <div class="stat-item">
                 <div class="stat-value mono">${streaks.currentStreak.count}</div>
                 <div class="stat-label">${streaks.currentStreak.type} streak</div>
@@ -486,26 +668,60 @@ class HorseyDashboard {
                 <div class="perf-label">Avg Loser</div>
             </div>
         </div>
+        ${this.generateRMultiples(stats.rMultiples)}
     </div>`;
   }
 
+  // Average R, expectancy and the R distribution as bars
+  generateRMultiples(r) {
+    if (!r || r.count === 0) return '';
+
+    const widest = Math.max(...r.histogram.map(b => b.count));
+    const bars = r.histogram.map(b => `
+            <div class="r-bucket">
+                <div class="r-bar ${b.max <= 0 ? 'negative' : 'positive'}" style="height: ${widest > 0 ? Math.round((b.count / widest) * 100) : 0}%;"></div>
+                <div class="r-count mono">${b.count}</div>
+                <div class="r-label">${b.label}</div>
+            </div>`).join('');
+
+    return `
+        <div class="perf-grid" style="margin-top: 12px;">
+            <div class="perf-card">
+                <div class="perf-value mono ${r.averageR >= 0 ? 'positive' : 'negative'}">${r.averageR.toFixed(2)}R</div>
+                <div class="perf-label">Avg R</div>
+            </div>
+            <div class="perf-card">
+                <div class="perf-value mono ${r.expectancyR >= 0 ? 'positive' : 'negative'}">${r.expectancyR.toFixed(2)}R</div>
+                <div class="perf-label">Expectancy</div>
+            </div>
+        </div>
+        <div class="r-histogram">${bars}
+        </div>`;
+  }
+
   generateTradeLog(trades) {
     const rows = trades.map(trade => {
       const pnlClass = !trade.pnl ? 'neutral' : trade.pnl > 0 ? 'positive' : 'negative';
       const pnl = trade.pnl ? `$${trade.pnl.toFixed(2)}` : 'OPEN';
+      const r = trade.actual_rr !== null && trade.actual_rr !== undefined ? `${trade.actual_rr.toFixed(2)}R` : '-';
       const entryDate = new Date(trade.entry_time).toLocaleDateString();
+      // Spell out option legs so spreads read as strategies, not just "spread"
+      const instrument = trade.legs && trade.legs.length > 0 ? describeLegs(trade.legs) : trade.instrument;
+      const credit = trade.is_credit ? ' cr' : '';
       
       return `
         <tr>
           <td><span class="ticker">${trade.ticker}</span></td>
           <td>${trade.direction}</td>
-          <td>${trade.instrument}</td>
+          <td>${instrument}</td>
           <td class="mono">${trade.size}</td>
-          <td class="mono">$${trade.entry_price.toFixed(2)}</td>
-          <td class="mono">${trade.exit_price ? '$' + trade.exit_price.toFixed(2) : '-'}</td>
+          <td class="mono">$${trade.entry_price.toFixed(2)}${credit}</td>
+          <td class="mono">${trade.exit_price ? '$' + trade.exit_price.toFixed(2) + credit : '-'}</td>
           <td class="mono ${pnlClass}">${pnl}</td>
+          <td class="mono ${pnlClass}">${r}</td>
           <td class="setup-type">${trade.setup_type}</td>
           <td>${entryDate}</td>
+          <td>${this.generateThumbnails(trade.attachments)}</td>
         </tr>
       `;
     }).join('');
@@ -524,12 +740,333 @@ class HorseyDashboard {
                         <th>Entry</th>
                         <th>Exit</th>
                         <th>P&L</th>
+                        <th>R</th>
                         <th>Setup</th>
                         <th>Date</th>
+                        <th>Charts</th>
                     </tr>
                 </thead>
                 <tbody>
-                    ${rows || '<tr><td colspan="8" class="empty-state">No trades yet</td></tr>'}
+                    ${rows || '<tr><td colspan="11" class="empty-state">No trades yet</td></tr>'}
+                </tbody>
+            </table>
+        </div>
+    </div>`;
+  }
+
+  // Equity line over the drawdown from its running peak, with the
+  // risk-adjusted numbers alongside
+  generateEquityCurve(advanced) {
+    if (!advanced || advanced.curve.length < 2) return '';
+
+    const width = 1000;
+    const top = 200;
+    const bottom = 80;
+    const pad = 40;
+    const curve = advanced.curve;
+    const equities = curve.map(p => p.equity);
+    const low = Math.min(...equities);
+    const high = Math.max(...equities);
+    const span = high - low || 1;
+    const deepest = Math.max(...curve.map(p => p.drawdown), 1);
+    const x = (i) => pad + (i / (curve.length - 1)) * (width - pad * 2);
+    const y = (equity) => 10 + (1 - (equity - low) / span) * (top - 20);
+    const dd = (drawdown) => top + 10 + (drawdown / deepest) * (bottom - 20);
+
+    const line = curve.map((p, i) => `${x(i).toFixed(1)},${y(p.equity).toFixed(1)}`).join(' ');
+    const area = [`${x(0).toFixed(1)},${dd(0).toFixed(1)}`]
+      .concat(curve.map((p, i) => `${x(i).toFixed(1)},${dd(p.drawdown).toFixed(1)}`))
+      .concat([`${x(curve.length - 1).toFixed(1)},${dd(0).toFixed(1)}`])
+      .join(' ');
+    const maxDD = advanced.maxDrawdown;
+    const ratio = (value) => (value === null ? 'n/a' : value.toFixed(2));
+
+    return `
+    <div class="card" style="margin-bottom: 12px;">
+        <div class="card-header">📈 Equity &amp; Drawdown</div>
+        <svg viewBox="0 0 ${width} ${top + bottom}" class="equity-chart">
+            <text x="4" y="${y(high) + 4}" class="axis-label">$${high.toFixed(0)}</text>
+            <text x="4" y="${y(low) + 4}" class="axis-label">$${low.toFixed(0)}</text>
+            <polyline points="${line}" class="equity-line" />
+            <line x1="${pad}" y1="${dd(0)}" x2="${width - pad}" y2="${dd(0)}" class="axis" />
+            <polygon points="${area}" class="drawdown-area" />
+            <text x="4" y="${dd(deepest) + 4}" class="axis-label">-$${deepest.toFixed(0)}</text>
+            <text x="${pad}" y="${top + bottom - 2}" class="axis-label">${curve[0].date}</text>
+            <text x="${width - pad}" y="${top + bottom - 2}" text-anchor="end" class="axis-label">${curve[curve.length - 1].date}</text>
+        </svg>
+        <div class="perf-grid" style="margin-top: 12px;">
+            <div class="perf-card">
+                <div class="perf-value mono negative">$${maxDD.amount.toFixed(2)}${maxDD.pct !== null ? ` (${maxDD.pct}%)` : ''}</div>
+                <div class="perf-label">Max Drawdown${maxDD.amount > 0 ? ` · ${maxDD.duration}d${maxDD.recovered ? '' : ', open'}` : ''}</div>
+            </div>
+            <div class="perf-card">
+                <div class="perf-value mono">${ratio(advanced.sharpe)}</div>
+                <div class="perf-label">Sharpe</div>
+            </div>
+            <div class="perf-card">
+                <div class="perf-value mono">${ratio(advanced.sortino)}</div>
+                <div class="perf-label">Sortino</div>
+            </div>
+            <div class="perf-card">
+                <div class="perf-value mono ${advanced.expectancy >= 0 ? 'positive' : 'negative'}">$${advanced.expectancy.toFixed(2)}</div>
+                <div class="perf-label">Expectancy</div>
+            </div>
+            <div class="perf-card">
+                <div class="perf-value mono">${ratio(advanced.payoffRatio)}</div>
+                <div class="perf-label">Payoff Ratio</div>
+            </div>
+            <div class="perf-card">
+                <div class="perf-value mono">${advanced.kelly === null ? 'n/a' : `${(advanced.kelly * 100).toFixed(1)}%`}</div>
+                <div class="perf-label">Kelly</div>
+            </div>
+            <div class="perf-card">
+                <div class="perf-value mono negative">$${Math.abs(advanced.largestConsecutiveLoss.amount).toFixed(2)}</div>
+                <div class="perf-label">Worst Losing Run</div>
+            </div>
+        </div>
+    </div>`;
+  }
+
+  // MAE (x) against MFE (y) per measured trade, winners green, losers red.
+  // Points above the diagonal had more upside than heat.
+  generateExcursions(excursions) {
+    if (!excursions || excursions.count === 0) return '';
+
+    const width = 360;
+    const height = 240;
+    const pad = 36;
+    const maxMAE = Math.max(...excursions.points.map(p => p.mae), 1);
+    const maxMFE = Math.max(...excursions.points.map(p => p.mfe), 1);
+    const scale = Math.max(maxMAE, maxMFE);
+    const x = (value) => pad + (value / scale) * (width - pad * 2);
+    const y = (value) => height - pad - (value / scale) * (height - pad * 2);
+
+    const dots = excursions.points.map(p => `
+                <circle cx="${x(p.mae).toFixed(1)}" cy="${y(p.mfe).toFixed(1)}" r="4" class="${p.pnl > 0 ? 'dot-win' : 'dot-loss'}">
+                    <title>#${p.id} ${p.ticker}: MAE $${p.mae.toFixed(2)}, MFE $${p.mfe.toFixed(2)}, P&L $${p.pnl.toFixed(2)}${p.efficiency !== null ? `, ${p.efficiency}% kept` : ''}</title>
+                </circle>`).join('');
+
+    return `
+    <div class="card">
+        <div class="card-header">🌡️ MAE / MFE</div>
+        <svg viewBox="0 0 ${width} ${height}" class="scatter">
+            <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" class="axis" />
+            <line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}" class="axis" />
+            <line x1="${x(0)}" y1="${y(0)}" x2="${x(scale)}" y2="${y(scale)}" class="diagonal" />
+            <text x="${width - pad}" y="${height - 10}" text-anchor="end" class="axis-label">MAE $${scale.toFixed(0)}</text>
+            <text x="4" y="${pad - 8}" class="axis-label">MFE $${scale.toFixed(0)}</text>${dots}
+        </svg>
+        <div class="perf-grid" style="margin-top: 12px;">
+            <div class="perf-card">
+                <div class="perf-value mono negative">$${excursions.avgMAE.toFixed(2)}</div>
+                <div class="perf-label">Avg MAE</div>
+            </div>
+            <div class="perf-card">
+                <div class="perf-value mono positive">$${excursions.avgMFE.toFixed(2)}</div>
+                <div class="perf-label">Avg MFE</div>
+            </div>
+            <div class="perf-card">
+                <div class="perf-value mono">${excursions.exitEfficiency.toFixed(1)}%</div>
+                <div class="perf-label">Exit Efficiency</div>
+            </div>
+            <div class="perf-card">
+                <div class="perf-value mono negative">$${excursions.maxWinnerMAE.toFixed(2)}</div>
+                <div class="perf-label">Worst Winner Heat</div>
+            </div>
+        </div>
+    </div>`;
+  }
+
+  // Month grid of realized P&L per session, shaded like the heatmaps, with
+  // weekly and monthly totals. Every month is rendered and the arrows page
+  // through them; clicking a day lists its trades and journal from the data
+  // embedded alongside.
+  generateCalendar(pnlCalendar, journals = {}) {
+    if (pnlCalendar.months.length === 0) return '';
+
+    const money = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(0)}`;
+    const pnlClass = (value) => (value > 0 ? 'positive' : value < 0 ? 'negative' : 'neutral');
+    const days = Object.values(pnlCalendar.days);
+    const scale = Math.max(...days.map(d => Math.abs(d.pnl)), 1);
+
+    const cell = (d) => {
+      if (!d.inMonth) return '<td class="cal-out"></td>';
+      const dayNumber = Number(d.date.slice(8));
+      if (!d.tradingDay) {
+        return `<td class="cal-closed"><div class="cal-date">${dayNumber}</div><div class="cal-meta">${d.holiday || ''}</div></td>`;
+      }
+
+      const day = pnlCalendar.days[d.date];
+      if (!day) return `<td><div class="cal-date">${dayNumber}</div></td>`;
+
+      const count = day.trades.length;
+      const alpha = (0.15 + 0.65 * Math.abs(day.pnl) / scale).toFixed(2);
+      const background = count === 0 ? '' : ` style="background: ${day.pnl >= 0 ? `rgba(0, 255, 136, ${alpha})` : `rgba(255, 68, 68, ${alpha})`};"`;
+      return `<td class="cal-day" data-date="${d.date}"${background}>
+                    <div class="cal-date">${dayNumber}</div>
+                    ${count > 0 ? `<div class="cal-pnl mono">${money(day.pnl)}</div>` : ''}
+                    <div class="cal-meta"><span>${count > 0 ? `${count} trade${count === 1 ? '' : 's'}` : ''}</span><span class="cal-grade">${day.grade || ''}</span></div>
+                </td>`;
+    };
+
+    const months = pnlCalendar.months.map((m, i) => {
+      const title = new Date(`${m.month}-01T12:00:00Z`).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+      const weeks = m.weeks.map(w => `
+                <tr>
+                    ${w.days.map(cell).join('')}
+                    <td class="cal-week"><div class="cal-date">Week</div>${w.trades > 0 ? `<div class="cal-pnl mono ${pnlClass(w.pnl)}">${money(w.pnl)}</div><div class="cal-meta">${w.trades} trade${w.trades === 1 ? '' : 's'}</div>` : ''}</td>
+                </tr>`).join('');
+
+      return `
+        <div class="cal-month" data-index="${i}"${i === pnlCalendar.months.length - 1 ? '' : ' style="display: none;"'}>
+            <div class="cal-nav">
+                <button type="button" data-step="-1"${i === 0 ? ' disabled' : ''}>‹</button>
+                <span class="cal-title">${title}</span>
+                <button type="button" data-step="1"${i === pnlCalendar.months.length - 1 ? ' disabled' : ''}>›</button>
+                <span class="cal-total mono ${pnlClass(m.pnl)}">${money(m.pnl)} · ${m.trades} trade${m.trades === 1 ? '' : 's'}</span>
+            </div>
+            <table class="cal">
+                <thead>
+                    <tr><th>Mon</th><th>Tue</th><th>Wed</th><th>Thu</th><th>Fri</th><th>Week</th></tr>
+                </thead>
+                <tbody>${weeks}
+                </tbody>
+            </table>
+        </div>`;
+    }).join('');
+
+    // Just what the drill-down shows, keyed by date
+    const detail = Object.fromEntries(days.map(day => {
+      const journal = journals[day.date];
+      return [day.date, {
+        pnl: day.pnl,
+        trades: day.trades.map(t => ({
+          id: t.id,
+          ticker: t.ticker,
+          direction: t.direction,
+          instrument: t.instrument,
+          setup: t.setup_type,
+          size: t.size,
+          entry: t.entry_price,
+          exit: t.exit_price,
+          pnl: t.pnl,
+          rr: t.actual_rr
+        })),
+        journal: journal ? {
+          grade: journal.grade,
+          plan: journal.premarket_plan,
+          review: journal.postmarket_review,
+          context: journal.market_context
+        } : null
+      }];
+    }));
+    // Keep "</script>" in journal text from closing the tag
+    const data = JSON.stringify(detail).replace(/</g, '\\u003c');
+
+    return `
+    <div class="card" style="margin-bottom: 12px;" id="pnl-calendar">
+        <div class="card-header">📅 P&amp;L Calendar</div>${months}
+        <div class="cal-detail" id="cal-detail"><div class="empty-state">Click a day for its trades and journal</div></div>
+        <script>
+        (function () {
+            const days = ${data};
+            const root = document.getElementById('pnl-calendar');
+            const months = root.querySelectorAll('.cal-month');
+            const detail = document.getElementById('cal-detail');
+
+            const el = (tag, text, className) => {
+                const node = document.createElement(tag);
+                if (text !== undefined && text !== null) node.textContent = text;
+                if (className) node.className = className;
+                return node;
+            };
+            const money = (value) => (value < 0 ? '-$' : '$') + Math.abs(value).toFixed(2);
+
+            root.querySelectorAll('.cal-nav button').forEach(button => button.addEventListener('click', () => {
+                const month = button.closest('.cal-month');
+                const next = months[Number(month.dataset.index) + Number(button.dataset.step)];
+                if (!next) return;
+                month.style.display = 'none';
+                next.style.display = '';
+            }));
+
+            root.querySelectorAll('.cal-day').forEach(cell => cell.addEventListener('click', () => {
+                root.querySelectorAll('.cal-selected').forEach(c => c.classList.remove('cal-selected'));
+                cell.classList.add('cal-selected');
+
+                const date = cell.dataset.date;
+                const day = days[date];
+                detail.replaceChildren(el('div', date + ' · ' + money(day.pnl), 'card-header'));
+
+                if (day.trades.length > 0) {
+                    const table = el('table', null, 'table');
+                    const head = table.createTHead().insertRow();
+                    ['ID', 'Ticker', 'Side', 'Inst', 'Setup', 'Size', 'Entry', 'Exit', 'P&L', 'R'].forEach(h => head.appendChild(el('th', h)));
+                    const body = table.createTBody();
+                    day.trades.forEach(t => {
+                        const row = body.insertRow();
+                        [t.id, t.ticker, t.direction, t.instrument, t.setup, t.size, '$' + t.entry.toFixed(2), t.exit === null ? '' : '$' + t.exit.toFixed(2)]
+                            .forEach(value => row.appendChild(el('td', value, 'mono')));
+                        row.appendChild(el('td', money(t.pnl), 'mono ' + (t.pnl >= 0 ? 'positive' : 'negative')));
+                        row.appendChild(el('td', t.rr === null ? '' : t.rr.toFixed(2) + 'R', 'mono'));
+                    });
+                    detail.appendChild(table);
+                }
+
+                const journal = day.journal;
+                if (!journal) {
+                    detail.appendChild(el('div', 'No journal for this day', 'empty-state'));
+                    return;
+                }
+                if (journal.grade) detail.appendChild(el('div', 'Grade: ' + journal.grade, 'mono'));
+                [['Pre-market Plan', journal.plan], ['Post-market Review', journal.review], ['Market Context', journal.context]]
+                    .filter(([, text]) => text)
+                    .forEach(([label, text]) => {
+                        detail.appendChild(el('strong', label + ':'));
+                        detail.appendChild(el('div', text, 'journal-text'));
+                    });
+            }));
+        })();
+        </script>
+    </div>`;
+  }
+
+  // Instruments down, buckets across, each cell shaded by its P&L against
+  // the biggest cell; the top row is every instrument together. Buckets no
+  // trade fell in are left out.
+  generateHeatmap(title, totals, crossTab) {
+    const columns = crossTab.columns.filter(c => totals[c] && totals[c].totalTrades > 0);
+    if (columns.length === 0) return '';
+
+    const rows = [['All', totals]].concat(Object.entries(crossTab.rows));
+    const scale = Math.max(...rows.flatMap(([, cells]) => columns.map(c => Math.abs(cells[c].totalPnL))), 1);
+
+    const cell = (group) => {
+      if (group.totalTrades === 0) return '<td></td>';
+      const alpha = (0.15 + 0.65 * Math.abs(group.totalPnL) / scale).toFixed(2);
+      const color = group.totalPnL >= 0 ? `rgba(0, 255, 136, ${alpha})` : `rgba(255, 68, 68, ${alpha})`;
+      const tip = `${group.totalTrades} trade${group.totalTrades === 1 ? '' : 's'}, ${group.winRate}% win, avg $${group.avgPnL.toFixed(2)}${group.avgR !== null ? `, ${group.avgR}R` : ''}`;
+      return `<td class="mono" style="background: ${color};" title="${tip}">$${group.totalPnL.toFixed(0)}<span class="count">${group.totalTrades}</span></td>`;
+    };
+
+    const body = rows.map(([label, cells]) => `
+                    <tr>
+                        <td class="row-label">${label}</td>
+                        ${columns.map(c => cell(cells[c])).join('')}
+                    </tr>`).join('');
+
+    return `
+    <div class="card">
+        <div class="card-header">${title}</div>
+        <div style="overflow-x: auto;">
+            <table class="heatmap">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${columns.map(c => `<th>${c}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>${body}
                 </tbody>
             </table>
         </div>
@@ -550,9 +1087,23 @@ class HorseyDashboard {
         </div>
         ${journal?.grade ? `<div style="margin-top: 8px;"><strong>Grade:</strong> <span class="mono">${journal.grade}</span></div>` : ''}
         ${journal?.market_context ? `<div style="margin-top: 8px;"><strong>Market Context:</strong> ${journal.market_context}</div>` : ''}
+        ${journal?.attachments?.length ? `<div style="margin-top: 8px;">${this.generateThumbnails(journal.attachments, 'thumbs-large')}</div>` : ''}
     </div>`;
   }
 
+  // Thumbnails linking to the full image; save() publishes the files
+  // into dashboard/attachments alongside index.html
+  generateThumbnails(attachments, className = '') {
+    if (!attachments || attachments.length === 0) return '';
+
+    const thumbs = attachments.map(a => {
+      const title = (a.caption || a.original_name || '').replace(/"/g, '&quot;');
+      return `<a href="attachments/${a.file_name}" target="_blank" title="${title}"><img class="thumb" src="attachments/${a.file_name}" alt="${title}" loading="lazy"></a>`;
+    }).join('');
+
+    return `<div class="thumbs${className ? ` ${className}` : ''}">${thumbs}</div>`;
+  }
+
   generateSetupAnalysis(setupStats) {
     const rows = Object.entries(setupStats)
       .sort(([,a], [,b]) => b.totalPnL - a.totalPnL)
@@ -684,8 +1235,8 @@ class HorseyDashboard {
     </div>`;
   }
 
-  async save() {
-    const html = await this.generateHTML();
+  async save(options = {}) {
+    const html = await this.generateHTML(options);
     const dashboardPath = path.join(__dirname, 'dashboard', 'index.html');
     
     // Ensure dashboard directory exists
@@ -695,6 +1246,7 @@ class HorseyDashboard {
     }
     
     fs.writeFileSync(dashboardPath, html, 'utf8');
+    await new HorseyAttachments(this.db).publish(path.join(dashboardDir, 'attachments'));
     return dashboardPath;
   }
 }
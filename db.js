@@ -1,8 +1,57 @@
 #!/usr/bin/env node
 
 const sqlite3 = require('sqlite3').verbose();
+const crypto = require('crypto');
+const calendar = require('./calendar');
 const path = require('path');
 const fs = require('fs');
+const HorseyMigrator = require('./migrations');
+const { getMultiplier, getPositionSide, calculateCostBasis, summarizeExecutions } = require('./pnl');
+const { FEE_FIELDS, getOrderAction, calculateFees } = require('./fees');
+const { getContractsPerUnit } = require('./options');
+
+// Table behind each entity the audit log tracks
+const AUDITED = {
+  trade: 'trades',
+  narrative: 'narratives',
+  watchlist: 'watchlist',
+  journal: 'journal',
+  execution: 'executions'
+};
+
+// Ledger rows that still count: realized P&L of soft-deleted trades drops out
+const LIVE_LEDGER = '(l.trade_id IS NULL OR l.trade_id NOT IN (SELECT id FROM trades WHERE deleted_at IS NOT NULL))';
+
+function label(entity) {
+  return entity.charAt(0).toUpperCase() + entity.slice(1);
+}
+
+// A stop starts on the losing side of entry and a target on the winning
+// side, for the side of the market actually held
+function checkStopTarget(side, entryPrice, stop, target) {
+  const below = side === 'long' ? 'below' : 'above';
+  const above = side === 'long' ? 'above' : 'below';
+  if (stop !== null && stop !== undefined && (side === 'long' ? stop >= entryPrice : stop <= entryPrice)) {
+    throw new Error(`Stop $${stop} must be ${below} the $${entryPrice} entry for a ${side} position`);
+  }
+  if (target !== null && target !== undefined && (side === 'long' ? target <= entryPrice : target >= entryPrice)) {
+    throw new Error(`Target $${target} must be ${above} the $${entryPrice} entry for a ${side} position`);
+  }
+}
+
+// Link table and key column for each taggable entity
+const TAG_LINKS = {
+  trade: { table: 'trade_tags', column: 'trade_id' },
+  narrative: { table: 'narrative_tags', column: 'narrative_id' },
+  watchlist: { table: 'watchlist_tags', column: 'watchlist_id' }
+};
+
+// Tags are case-insensitive; accepts an array or a comma-separated string
+function normalizeTags(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
 
 class HorseyDB {
   constructor(dbPath = null) {
@@ -16,130 +65,31 @@ class HorseyDB {
       fs.mkdirSync(dataDir, { recursive: true });
     }
     
+    this.path = dbPath;
     this.db = new sqlite3.Database(dbPath);
     
     // Enable foreign keys and set WAL mode
     this.db.run('PRAGMA foreign_keys = ON');
     this.db.run('PRAGMA journal_mode = WAL');
     
-    // Initialize tables synchronously
-    this.initTablesSync();
-  }
-
-  initTablesSync() {
-    const tables = [
-      // Create narratives table
-      `CREATE TABLE IF NOT EXISTS narratives (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        ticker TEXT NOT NULL,
-        narrative TEXT NOT NULL,
-        direction TEXT CHECK(direction IN ('bull', 'bear', 'neutral')) DEFAULT 'neutral',
-        timeframe TEXT CHECK(timeframe IN ('intraday', 'swing', 'multi-day')) DEFAULT 'intraday',
-        key_levels TEXT,
-        invalidation REAL,
-        status TEXT CHECK(status IN ('active', 'triggered', 'invalidated', 'expired')) DEFAULT 'active',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        resolved_at DATETIME
-      )`,
-
-      // Create watchlist table
-      `CREATE TABLE IF NOT EXISTS watchlist (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        date DATE NOT NULL,
-        ticker TEXT NOT NULL,
-        setup TEXT NOT NULL,
-        key_levels TEXT,
-        bias TEXT CHECK(bias IN ('long', 'short', 'neutral')) DEFAULT 'neutral',
-        priority INTEGER CHECK(priority BETWEEN 1 AND 5) DEFAULT 3,
-        options_flow_note TEXT,
-        status TEXT CHECK(status IN ('watching', 'triggered', 'skipped', 'missed')) DEFAULT 'watching',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Create trades table
-      `CREATE TABLE IF NOT EXISTS trades (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        ticker TEXT NOT NULL,
-        direction TEXT CHECK(direction IN ('long', 'short')) NOT NULL,
-        instrument TEXT CHECK(instrument IN ('shares', 'calls', 'puts', '0dte-calls', '0dte-puts', 'csp')) NOT NULL,
-        entry_price REAL NOT NULL,
-        entry_time DATETIME DEFAULT CURRENT_TIMESTAMP,
-        exit_price REAL,
-        exit_time DATETIME,
-        size INTEGER NOT NULL,
-        cost_basis REAL NOT NULL,
-        proceeds REAL,
-        pnl REAL,
-        pnl_pct REAL,
-        setup_type TEXT CHECK(setup_type IN ('breakout', 'fade', 'momentum', 'reversal', 'csp', 'squeeze', 'other')) DEFAULT 'other',
-        narrative_id INTEGER,
-        watchlist_id INTEGER,
-        planned_risk REAL,
-        planned_target REAL,
-        actual_rr REAL,
-        notes TEXT,
-        lessons TEXT,
-        status TEXT CHECK(status IN ('open', 'closed', 'partial')) DEFAULT 'open',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (narrative_id) REFERENCES narratives(id),
-        FOREIGN KEY (watchlist_id) REFERENCES watchlist(id)
-      )`,
-
-      // Create journal table
-      `CREATE TABLE IF NOT EXISTS journal (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        date DATE UNIQUE NOT NULL,
-        premarket_plan TEXT,
-        postmarket_review TEXT,
-        market_context TEXT,
-        grade TEXT CHECK(grade IN ('A', 'B', 'C', 'D', 'F')),
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-
-      // Create playbook table
-      `CREATE TABLE IF NOT EXISTS playbook (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL UNIQUE,
-        description TEXT,
-        entry_rules TEXT,
-        exit_rules TEXT,
-        risk_rules TEXT,
-        example_tickers TEXT,
-        win_rate REAL DEFAULT 0,
-        status TEXT CHECK(status IN ('active', 'retired')) DEFAULT 'active',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`
-    ];
-
-    const indices = [
-      'CREATE INDEX IF NOT EXISTS idx_narratives_status ON narratives(status)',
-      'CREATE INDEX IF NOT EXISTS idx_narratives_ticker ON narratives(ticker)',
-      'CREATE INDEX IF NOT EXISTS idx_watchlist_date ON watchlist(date)',
-      'CREATE INDEX IF NOT EXISTS idx_watchlist_status ON watchlist(status)',
-      'CREATE INDEX IF NOT EXISTS idx_trades_status ON trades(status)',
-      'CREATE INDEX IF NOT EXISTS idx_trades_ticker ON trades(ticker)',
-      'CREATE INDEX IF NOT EXISTS idx_trades_entry_time ON trades(entry_time)'
-    ];
-
-    // Create tables synchronously
-    tables.forEach(sql => {
-      this.db.run(sql, (err) => {
-        if (err) console.error('Table creation error:', err);
-      });
-    });
+    // Bring the schema up to date; every query waits on this
+    this.migrator = new HorseyMigrator(this.db);
+    this.initialized = this.migrator.migrate();
+    this.initialized.catch(() => {}); // surfaced by the first query instead
 
-    // Create indices synchronously
-    indices.forEach(sql => {
-      this.db.run(sql, (err) => {
-        if (err) console.error('Index creation error:', err);
-      });
-    });
+    // Audit entries written through this connection share a batch, so one
+    // CLI command is undone as a unit
+    this.startBatch();
+  }
+
+  // Begin a new undo unit; long-running commands call this per cycle
+  startBatch() {
+    this.batchId = crypto.randomUUID();
   }
 
   // Helper to promisify database operations
-  run(sql, params = []) {
+  async run(sql, params = []) {
+    await this.initialized;
     return new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
         if (err) reject(err);
@@ -148,7 +98,8 @@ class HorseyDB {
     });
   }
 
-  get(sql, params = []) {
+  async get(sql, params = []) {
+    await this.initialized;
     return new Promise((resolve, reject) => {
       this.db.get(sql, params, (err, row) => {
         if (err) reject(err);
@@ -157,7 +108,8 @@ class HorseyDB {
     });
   }
 
-  all(sql, params = []) {
+  async all(sql, params = []) {
+    await this.initialized;
     return new Promise((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
         if (err) reject(err);
@@ -166,11 +118,14 @@ class HorseyDB {
     });
   }
 
-  // Wait for database to be ready
+  // Wait for migrations to finish; resolves to the migrations applied on open
   async ready() {
-    return new Promise((resolve) => {
-      setTimeout(resolve, 100); // Give DB time to initialize
-    });
+    return await this.initialized;
+  }
+
+  async getSchemaStatus() {
+    await this.ready();
+    return await this.migrator.getStatus();
   }
 
   // Narrative operations
@@ -189,12 +144,14 @@ class HorseyDB {
       options.levels ? JSON.stringify(options.levels) : null,
       options.invalidation || null
     ]);
-    
+
+    await this.tagEntity('narrative', result.lastID, options.tags);
+    await this.logCreate('narrative', result.lastID);
     return result.lastID;
   }
 
   async getNarratives(filters = {}) {
-    let query = 'SELECT * FROM narratives WHERE 1=1';
+    let query = 'SELECT * FROM narratives WHERE deleted_at IS NULL';
     const params = [];
 
     if (filters.active) {
@@ -205,10 +162,13 @@ class HorseyDB {
       query += ' AND ticker = ?';
       params.push(filters.ticker.toUpperCase());
     }
+    const tagged = this.buildTagFilter('narrative', filters.tag);
+    query += tagged.sql;
+    params.push(...tagged.params);
 
     query += ' ORDER BY created_at DESC';
     
-    const narratives = await this.all(query, params);
+    const narratives = await this.attachTags('narrative', await this.all(query, params));
     
     return narratives.map(n => ({
       ...n,
@@ -216,20 +176,20 @@ class HorseyDB {
     }));
   }
 
-  async updateNarrativeStatus(id, status, outcome = null) {
-    const sql = `
-      UPDATE narratives 
-      SET status = ?, updated_at = CURRENT_TIMESTAMP, resolved_at = ?
-      WHERE id = ?
-    `;
-    
-    const resolvedAt = ['triggered', 'invalidated', 'expired'].includes(status) ? new Date().toISOString() : null;
-    return await this.run(sql, [status, resolvedAt, id]);
+  // `outcome` says why (kept on the narrative and its audit entry); `at`
+  // backdates the resolution to when price actually did it
+  async updateNarrativeStatus(id, status, outcome = null, at = null) {
+    const resolved = ['triggered', 'invalidated', 'expired'].includes(status);
+    return await this.updateRecord('narrative', id, {
+      status,
+      resolved_at: resolved ? at || calendar.toTimestamp(new Date()) : null,
+      resolution_reason: resolved ? outcome : null
+    }, { reason: outcome });
   }
 
   // Watchlist operations
   async addToWatchlist(ticker, setup, options = {}) {
-    const today = new Date().toISOString().split('T')[0];
+    const today = calendar.today();
     
     const sql = `
       INSERT INTO watchlist (date, ticker, setup, key_levels, bias, priority, options_flow_note)
@@ -245,18 +205,19 @@ class HorseyDB {
       options.priority || 3,
       options.flow || null
     ]);
-    
+
+    await this.tagEntity('watchlist', result.lastID, options.tags);
+    await this.logCreate('watchlist', result.lastID);
     return result.lastID;
   }
 
   async getWatchlist(filters = {}) {
-    let query = 'SELECT * FROM watchlist WHERE 1=1';
+    let query = 'SELECT * FROM watchlist WHERE deleted_at IS NULL';
     const params = [];
 
     if (filters.date === 'today') {
-      const today = new Date().toISOString().split('T')[0];
       query += ' AND date = ?';
-      params.push(today);
+      params.push(calendar.today());
     } else if (filters.date) {
       query += ' AND date = ?';
       params.push(filters.date);
@@ -266,10 +227,13 @@ class HorseyDB {
       query += ' AND status = ?';
       params.push('watching');
     }
+    const tagged = this.buildTagFilter('watchlist', filters.tag);
+    query += tagged.sql;
+    params.push(...tagged.params);
 
     query += ' ORDER BY priority DESC, created_at DESC';
     
-    const watchlist = await this.all(query, params);
+    const watchlist = await this.attachTags('watchlist', await this.all(query, params));
     
     return watchlist.map(w => ({
       ...w,
@@ -278,27 +242,65 @@ class HorseyDB {
   }
 
   async updateWatchlistStatus(id, status) {
-    const sql = 'UPDATE watchlist SET status = ? WHERE id = ?';
-    return await this.run(sql, [status, id]);
+    return await this.updateRecord('watchlist', id, { status });
   }
 
+  // Soft-deletes everything before today, so `horsey undo` can bring it back
   async clearWatchlist() {
-    const sql = 'DELETE FROM watchlist WHERE date < date("now")';
-    return await this.run(sql);
+    const old = await this.all('SELECT id FROM watchlist WHERE date < ? AND deleted_at IS NULL', [calendar.today()]);
+    for (const item of old) {
+      await this.deleteRecord('watchlist', item.id);
+    }
+    return { changes: old.length };
   }
 
   // Trade operations
   async openTrade(ticker, direction, instrument, entryPrice, size, options = {}) {
-    // Options contracts = 100 shares per contract
-    const multiplier = ['shares'].includes(instrument) ? 1 : 100;
-    const COMMISSION = 1.00; // $1 fixed round-trip fee, subtracted at entry
-    const costBasis = (entryPrice * size * multiplier) + COMMISSION;
+    const legs = options.legs || [];
+    if (instrument === 'spread' && legs.length < 2) {
+      throw new Error('A spread needs at least two option legs');
+    }
+    if (instrument === 'shares' && legs.length > 0) {
+      throw new Error('Option legs cannot be attached to a shares trade');
+    }
+    const wrongUnderlying = legs.find(l => l.underlying !== ticker.toUpperCase());
+    if (wrongUnderlying) {
+      throw new Error(`Leg ${wrongUnderlying.occ_symbol} is not on ${ticker.toUpperCase()}`);
+    }
+
+    // Spreads are priced at net premium; a credit spread is sold to open
+    const isCredit = instrument === 'spread' && !!options.credit;
+
+    // Paper trades only land in an account when one is asked for
+    const account = options.paper && !options.account ? null : await this.getAccount(options.account);
+
+    // Explicit schedule, else the account's, else the default
+    const schedule = options.fees || !account || !account.fee_schedule_id
+      ? await this.getFeeSchedule(options.fees)
+      : await this.getFeeScheduleById(account.fee_schedule_id);
+    // Broker-reported fees (imports) win over the schedule
+    const entryFees = options.entryFees !== undefined && options.entryFees !== null
+      ? options.entryFees
+      : calculateFees(schedule, {
+        instrument,
+        action: getOrderAction(direction, instrument, 'entry', isCredit),
+        price: entryPrice,
+        size,
+        contracts: size * getContractsPerUnit(legs)
+      }).total;
+    const costBasis = calculateCostBasis(instrument, entryPrice, size, entryFees);
+
+    const stop = options.stop ?? null;
+    checkStopTarget(getPositionSide(direction, instrument, isCredit), entryPrice, stop, options.targetPrice);
+    const initialRisk = stop === null ? null : Math.abs(entryPrice - stop) * size * getMultiplier(instrument);
     
     const sql = `
       INSERT INTO trades (
         ticker, direction, instrument, entry_price, size, cost_basis,
-        setup_type, narrative_id, watchlist_id, planned_risk, planned_target, notes, is_paper
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        setup_type, narrative_id, watchlist_id, planned_risk, planned_target, notes, is_paper,
+        fee_schedule_id, fees, is_credit, account_id, risk_breaches, risk_override,
+        stop_price, initial_stop, target_price, initial_risk, entry_time
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
     `;
     
     const result = await this.run(sql, [
@@ -312,50 +314,179 @@ class HorseyDB {
       options.narrative || null,
       options.watchlist || null,
       options.risk || null,
-      options.target || null,
+      options.plannedTarget || null,
       options.notes || null,
-      options.paper ? 1 : 0
+      options.paper ? 1 : 0,
+      schedule ? schedule.id : null,
+      entryFees,
+      isCredit ? 1 : 0,
+      account ? account.id : null,
+      options.riskBreaches && options.riskBreaches.length > 0 ? JSON.stringify(options.riskBreaches) : null,
+      options.riskOverride || null,
+      stop,
+      stop,
+      options.targetPrice ?? null,
+      initialRisk,
+      options.executedAt || null
     ]);
-    
+
+    for (const leg of legs) {
+      await this.run(`
+        INSERT INTO option_legs (trade_id, occ_symbol, underlying, expiry, option_right, strike, quantity, entry_price)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [result.lastID, leg.occ_symbol, leg.underlying, leg.expiry, leg.option_right, leg.strike, leg.quantity, leg.entry_price]);
+    }
+
+    // Record the opening fill; the trade row is a rollup of its fills
+    await this.run(
+      "INSERT INTO executions (trade_id, side, price, size, fees, broker_exec_id, executed_at) SELECT id, 'entry', ?, ?, ?, ?, entry_time FROM trades WHERE id = ?",
+      [entryPrice, size, entryFees, options.brokerExecId || null, result.lastID]
+    );
+
+    await this.tagEntity('trade', result.lastID, options.tags);
+    await this.logCreate('trade', result.lastID);
     return result.lastID;
   }
 
   async closeTrade(id, exitPrice, options = {}) {
+    const trade = await this.getTradeForFill(id);
+    const { openSize } = summarizeExecutions(trade, await this.getExecutions(id));
+
+    // Exit whatever is still open
+    await this.addExecution(trade, 'exit', exitPrice, openSize, { executedAt: options.executedAt });
+
+    await this.updateRecord('trade', id, { notes: options.notes || trade.notes, lessons: options.lessons || null });
+
+    return await this.syncTrade(id);
+  }
+
+  // Scale into an open position
+  async addToTrade(id, price, size, options = {}) {
+    const trade = await this.getTradeForFill(id);
+    await this.addExecution(trade, 'entry', price, size, { executedAt: options.executedAt });
+    return await this.syncTrade(id);
+  }
+
+  // Scale out of part (or all) of an open position
+  async trimTrade(id, price, size, options = {}) {
+    const trade = await this.getTradeForFill(id);
+    const { openSize } = summarizeExecutions(trade, await this.getExecutions(id));
+
+    if (size > openSize) {
+      throw new Error(`Cannot trim ${size} from trade ${id}, only ${openSize} open`);
+    }
+
+    await this.addExecution(trade, 'exit', price, size, { executedAt: options.executedAt });
+    return await this.syncTrade(id);
+  }
+
+  async getTradeForFill(id) {
     const trade = await this.get('SELECT * FROM trades WHERE id = ?', [id]);
-    if (!trade) {
+    if (!trade || trade.deleted_at) {
       throw new Error(`Trade ${id} not found`);
     }
+    if (trade.status === 'closed') {
+      throw new Error(`Trade ${id} is already closed`);
+    }
+    return trade;
+  }
 
-    // Options contracts = 100 shares per contract
-    // Commission already included in cost_basis at entry
-    const multiplier = ['shares'].includes(trade.instrument) ? 1 : 100;
-    const proceeds = exitPrice * trade.size * multiplier;
-    const pnl = proceeds - trade.cost_basis;
-    const pnlPct = (pnl / trade.cost_basis) * 100;
-    
-    // Calculate actual R:R if planned risk was set
-    let actualRR = null;
-    if (trade.planned_risk) {
-      actualRR = pnl / trade.planned_risk;
+  // Fees default to the trade's fee schedule; executedAt to now
+  async addExecution(trade, side, price, size, options = {}) {
+    if (!(size > 0)) {
+      throw new Error('Size must be greater than zero');
+    }
+    if (options.executedAt && options.executedAt < trade.entry_time) {
+      throw new Error(`Fill at ${options.executedAt} UTC is before trade ${trade.id} opened (${trade.entry_time} UTC)`);
+    }
+
+    let fees = options.fees !== undefined ? options.fees : null;
+    if (fees === null) {
+      const schedule = await this.getFeeScheduleById(trade.fee_schedule_id);
+      const legs = await this.getOptionLegs(trade.id);
+      fees = calculateFees(schedule, {
+        instrument: trade.instrument,
+        action: getOrderAction(trade.direction, trade.instrument, side, !!trade.is_credit),
+        price,
+        size,
+        contracts: size * getContractsPerUnit(legs)
+      }).total;
+    }
+
+    const sql = `
+      INSERT INTO executions (trade_id, side, price, size, fees, broker_exec_id, executed_at)
+      VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+    `;
+    const result = await this.run(sql, [trade.id, side, price, size, fees, options.brokerExecId || null, options.executedAt || null]);
+    await this.logCreate('execution', result.lastID);
+    return result.lastID;
+  }
+
+  async getExecutions(tradeId) {
+    return await this.all('SELECT * FROM executions WHERE trade_id = ? ORDER BY executed_at, id', [tradeId]);
+  }
+
+  // Broker execution IDs already on file, including split suffixes (ID#2)
+  async hasBrokerExecution(brokerExecId) {
+    const row = await this.get(
+      "SELECT id FROM executions WHERE broker_exec_id = ? OR substr(broker_exec_id, 1, length(?) + 1) = ? || '#'",
+      [brokerExecId, brokerExecId, brokerExecId]
+    );
+    return !!row;
+  }
+
+  async getOptionLegs(tradeId) {
+    return await this.all('SELECT * FROM option_legs WHERE trade_id = ? ORDER BY id', [tradeId]);
+  }
+
+  // Attach each trade's option legs as `legs` (empty for shares and legacy rows)
+  async attachLegs(trades) {
+    if (trades.length === 0) return trades;
+
+    const ids = trades.map(t => t.id);
+    const legs = await this.all(
+      `SELECT * FROM option_legs WHERE trade_id IN (${ids.map(() => '?').join(',')}) ORDER BY id`,
+      ids
+    );
+
+    return trades.map(t => ({ ...t, legs: legs.filter(l => l.trade_id === t.id) }));
+  }
+
+  // Rewrite a trade's rollup columns (and per-exit P&L) from its fills
+  async syncTrade(id) {
+    const trade = await this.get('SELECT * FROM trades WHERE id = ?', [id]);
+    const summary = summarizeExecutions(trade, await this.getExecutions(id));
+
+    for (const exit of summary.exits) {
+      await this.run('UPDATE executions SET pnl = ? WHERE id = ?', [exit.pnl, exit.id]);
+
+      // Realized P&L flows into the account's cash ledger, one row per exit fill
+      if (trade.account_id) {
+        await this.run(`
+          INSERT INTO cash_ledger (account_id, type, amount, trade_id, execution_id, entry_time)
+          SELECT ?, 'realized_pnl', ?, ?, id, executed_at FROM executions WHERE id = ?
+          ON CONFLICT(execution_id) DO UPDATE SET amount = excluded.amount
+        `, [trade.account_id, exit.pnl, id, exit.id]);
+      }
     }
 
     const sql = `
-      UPDATE trades 
-      SET exit_price = ?, exit_time = CURRENT_TIMESTAMP, proceeds = ?, pnl = ?, pnl_pct = ?, 
-          actual_rr = ?, status = 'closed', notes = ?, lessons = ?
+      UPDATE trades
+      SET entry_price = ?, size = ?, cost_basis = ?, fees = ?, exit_price = ?, exit_time = ?, proceeds = ?,
+          pnl = ?, pnl_pct = ?, initial_risk = ?, actual_rr = ?, status = ?
       WHERE id = ?
     `;
-    
-    return await this.run(sql, [
-      exitPrice, proceeds, pnl, pnlPct, actualRR,
-      options.notes || trade.notes,
-      options.lessons || null,
-      id
+
+    await this.run(sql, [
+      summary.entryPrice, summary.size, summary.costBasis, summary.fees, summary.exitPrice, summary.exitTime,
+      summary.proceeds, summary.pnl, summary.pnlPct, summary.initialRisk, summary.actualRR, summary.status, id
     ]);
+
+    return summary;
   }
 
   async getTrades(filters = {}) {
-    let query = 'SELECT * FROM trades WHERE 1=1';
+    let query = 'SELECT * FROM trades WHERE deleted_at IS NULL';
     const params = [];
 
     // Filter paper vs real trades
@@ -366,72 +497,595 @@ class HorseyDB {
     }
 
     if (filters.open) {
-      query += ' AND status = ?';
-      params.push('open');
+      query += " AND status IN ('open', 'partial')";
+    }
+    if (filters.account) {
+      const account = await this.getAccount(filters.account);
+      query += ' AND account_id = ?';
+      params.push(account.id);
     }
     if (filters.ticker) {
       query += ' AND ticker = ?';
       params.push(filters.ticker.toUpperCase());
     }
-    if (filters.date === 'today') {
-      query += ' AND date(entry_time) = date("now")';
-    } else if (filters.date) {
-      query += ' AND date(entry_time) = ?';
-      params.push(filters.date);
+    if (filters.date) {
+      // Trading days run on New York time; entry_time is UTC
+      const range = calendar.dayRange(filters.date === 'today' ? calendar.today() : filters.date);
+      query += ' AND entry_time >= ? AND entry_time < ?';
+      params.push(range.start, range.end);
     }
+    const tagged = this.buildTagFilter('trade', filters.tag);
+    query += tagged.sql;
+    params.push(...tagged.params);
 
     query += ' ORDER BY entry_time DESC';
     
-    return await this.all(query, params);
+    const trades = await this.attachTags('trade', await this.attachLegs(await this.all(query, params)));
+    return await this.attachAttachments('trade_id', trades);
+  }
+
+  // Recompute pnl, pnl_pct and actual_rr for every trade with exits
+  async recalcTrades() {
+    const trades = await this.all("SELECT * FROM trades WHERE status IN ('closed', 'partial') ORDER BY id");
+    const changed = [];
+    const differs = (a, b) => (a === null || b === null) ? a !== b : Math.abs(a - b) > 0.005;
+
+    for (const trade of trades) {
+      const { proceeds, pnl, pnlPct, actualRR } = summarizeExecutions(trade, await this.getExecutions(trade.id));
+
+      if (differs(trade.pnl, pnl) || differs(trade.pnl_pct, pnlPct) || differs(trade.actual_rr, actualRR) || differs(trade.proceeds, proceeds)) {
+        await this.syncTrade(trade.id);
+        changed.push({ ...trade, oldPnl: trade.pnl, oldRR: trade.actual_rr, pnl, pnl_pct: pnlPct, actual_rr: actualRR });
+      }
+    }
+
+    return { checked: trades.length, changed };
   }
 
   async updateTradeNotes(id, notes, lessons = null) {
-    const sql = 'UPDATE trades SET notes = ?, lessons = ? WHERE id = ?';
-    return await this.run(sql, [notes, lessons, id]);
+    return await this.updateRecord('trade', id, { notes, lessons });
   }
 
-  // Journal operations
-  async setPlan(plan) {
-    const today = new Date().toISOString().split('T')[0];
-    
-    // Try to update first, then insert if no rows affected
-    let result = await this.run('UPDATE journal SET premarket_plan = ?, updated_at = CURRENT_TIMESTAMP WHERE date = ?', [plan, today]);
-    
-    if (result.changes === 0) {
-      result = await this.run('INSERT INTO journal (date, premarket_plan) VALUES (?, ?)', [today, plan]);
+  // Edit a trade's columns. Entry price and size live on the opening fill,
+  // so they can only be corrected while the trade has a single entry.
+  async editTrade(id, changes = {}) {
+    const { entry_price: entryPrice, size, ...columns } = changes;
+
+    // Stop and target must sit on the right side of entry; a direction
+    // change re-checks the ones already set
+    if (columns.initial_stop !== undefined || columns.target_price !== undefined || columns.direction !== undefined) {
+      const trade = await this.getRecord('trade', id);
+      const flipped = columns.direction !== undefined;
+      const side = getPositionSide(flipped ? columns.direction : trade.direction, trade.instrument, !!trade.is_credit);
+      checkStopTarget(
+        side,
+        entryPrice !== undefined ? entryPrice : trade.entry_price,
+        columns.initial_stop !== undefined || !flipped ? columns.initial_stop : trade.initial_stop,
+        columns.target_price !== undefined || !flipped ? columns.target_price : trade.target_price
+      );
+
+      // Correcting the initial stop carries the live stop along until it moves
+      if (columns.initial_stop !== undefined && (trade.stop_price === null || trade.stop_price === trade.initial_stop)) {
+        columns.stop_price = columns.initial_stop;
+      }
+    }
+
+    // Refuse what we can before writing anything
+    let entries = null;
+    if (entryPrice !== undefined || size !== undefined) {
+      const fills = await this.getExecutions(id);
+      entries = fills.filter(e => e.side === 'entry');
+      if (entries.length !== 1) {
+        throw new Error(`Trade ${id} has ${entries.length} entry fills; edit them with trade add/trim instead`);
+      }
+      const exited = fills.filter(e => e.side === 'exit').reduce((sum, e) => sum + e.size, 0);
+      if (size !== undefined && size < exited) {
+        throw new Error(`Size ${size} is less than the ${exited} already exited`);
+      }
+    }
+
+    // The rollup can still refuse the result, so nothing sticks unless it all does
+    await this.run('BEGIN TRANSACTION');
+    try {
+      let edited = await this.updateRecord('trade', id, columns);
+
+      if (entries) {
+        const fill = await this.updateRecord('execution', entries[0].id, { price: entryPrice, size });
+        edited = edited || fill;
+      }
+
+      // Direction, risk or fills may have moved the rollup
+      if (edited) {
+        await this.syncTrade(id);
+      }
+
+      await this.run('COMMIT');
+      return edited;
+    } catch (error) {
+      await this.run('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // Move an open trade's stop. Every move is an audited update, so the audit
+  // log is the stop's history. The first stop on a trade opened without one
+  // becomes its initial stop and sets its risk.
+  async moveStop(id, price, options = {}) {
+    const trade = await this.getTradeForFill(id);
+    const changes = { stop_price: price };
+
+    if (trade.initial_stop === null) {
+      checkStopTarget(getPositionSide(trade.direction, trade.instrument, !!trade.is_credit), trade.entry_price, price, null);
+      changes.initial_stop = price;
+    }
+
+    const result = await this.updateRecord('trade', id, changes, { reason: options.reason || null });
+    if (result && changes.initial_stop !== undefined) {
+      await this.syncTrade(id);
     }
-    
     return result;
   }
 
+  // Where a trade's stop has been, oldest first: { price, previous, reason, at }
+  async getStopHistory(id) {
+    const trade = await this.getRecord('trade', id);
+    const entries = await this.all(`
+      SELECT action, before, after, reason, created_at FROM audit_log
+      WHERE entity = 'trade' AND entity_id = ? AND undone_at IS NULL AND json_extract(after, '$.stop_price') IS NOT NULL
+      ORDER BY id
+    `, [id]);
+
+    return entries.map(e => ({
+      price: JSON.parse(e.after).stop_price,
+      previous: e.before ? JSON.parse(e.before).stop_price ?? null : null,
+      reason: e.reason,
+      at: e.action === 'create' ? trade.entry_time : e.created_at
+    }));
+  }
+
+  // Audit log. Every user-facing change records the columns it touched, so
+  // history can show before/after and undo can put the old values back.
+  async logAudit(entity, entityId, action, before = null, after = null, reason = null) {
+    await this.run(
+      'INSERT INTO audit_log (batch_id, entity, entity_id, action, before, after, reason) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [this.batchId, entity, entityId, action, before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, reason]
+    );
+  }
+
+  async logCreate(entity, id) {
+    const row = await this.get(`SELECT * FROM ${AUDITED[entity]} WHERE id = ?`, [id]);
+    await this.logAudit(entity, id, 'create', null, row);
+  }
+
+  async getRecord(entity, id) {
+    const row = await this.get(`SELECT * FROM ${AUDITED[entity]} WHERE id = ?`, [id]);
+    if (!row) {
+      throw new Error(`${label(entity)} ${id} not found`);
+    }
+    return row;
+  }
+
+  // Apply `changes` (column -> value) to one record, logging only the
+  // columns whose value actually changes. Returns null when nothing did.
+  // `options.reason` is kept with the audit entry for automatic changes.
+  async updateRecord(entity, id, changes, options = {}) {
+    const { action = 'update', reason = null } = options;
+    const row = await this.getRecord(entity, id);
+    if (row.deleted_at && !('deleted_at' in changes)) {
+      throw new Error(`${label(entity)} ${id} is deleted; "horsey undo" can restore it`);
+    }
+
+    const columns = Object.keys(changes).filter(c => changes[c] !== undefined && changes[c] !== row[c]);
+    if (columns.length === 0) return null;
+
+    const before = Object.fromEntries(columns.map(c => [c, row[c]]));
+    const after = Object.fromEntries(columns.map(c => [c, changes[c]]));
+    const touch = 'updated_at' in row ? ', updated_at = CURRENT_TIMESTAMP' : '';
+
+    await this.run(
+      `UPDATE ${AUDITED[entity]} SET ${columns.map(c => `${c} = ?`).join(', ')}${touch} WHERE id = ?`,
+      [...columns.map(c => after[c]), id]
+    );
+    await this.logAudit(entity, id, action, before, after, reason);
+    return { before, after };
+  }
+
+  async deleteRecord(entity, id) {
+    const row = await this.getRecord(entity, id);
+    if (row.deleted_at) {
+      throw new Error(`${label(entity)} ${id} is already deleted`);
+    }
+    return await this.updateRecord(entity, id, { deleted_at: calendar.toTimestamp(new Date()) }, { action: 'delete' });
+  }
+
+  // Audit entries for one record, oldest first. A trade's history includes
+  // its fills.
+  async getHistory(entity, id) {
+    return await this.all(`
+      SELECT * FROM audit_log
+      WHERE (entity = ? AND entity_id = ?)
+        OR (? = 'trade' AND entity = 'execution' AND entity_id IN (
+          SELECT entity_id FROM audit_log WHERE entity = 'execution' AND action = 'create' AND json_extract(after, '$.trade_id') = ?
+          UNION SELECT id FROM executions WHERE trade_id = ?
+        ))
+      ORDER BY id
+    `, [entity, id, entity, id, id]);
+  }
+
+  // Revert the most recent batch that hasn't been undone. Creates become
+  // soft deletes (fills, which have no soft delete, are removed), updates
+  // and deletes get their before values back. Returns the reverted entries.
+  async undo() {
+    const last = await this.get('SELECT batch_id FROM audit_log WHERE undone_at IS NULL ORDER BY id DESC LIMIT 1');
+    if (!last) return [];
+
+    const entries = await this.all(
+      'SELECT * FROM audit_log WHERE batch_id = ? AND undone_at IS NULL ORDER BY id DESC',
+      [last.batch_id]
+    );
+    const tradeIds = new Set();
+
+    await this.run('BEGIN TRANSACTION');
+    try {
+      for (const entry of entries) {
+        const table = AUDITED[entry.entity];
+
+        if (entry.entity === 'trade') {
+          tradeIds.add(entry.entity_id);
+        } else if (entry.entity === 'execution') {
+          const fill = await this.get('SELECT trade_id FROM executions WHERE id = ?', [entry.entity_id]);
+          if (fill) tradeIds.add(fill.trade_id);
+        }
+
+        if (entry.action === 'create' && entry.entity === 'execution') {
+          await this.run('DELETE FROM executions WHERE id = ?', [entry.entity_id]);
+        } else if (entry.action === 'create') {
+          await this.run(`UPDATE ${table} SET deleted_at = ? WHERE id = ?`, [calendar.toTimestamp(new Date()), entry.entity_id]);
+        } else {
+          const before = JSON.parse(entry.before);
+          const columns = Object.keys(before);
+          await this.run(
+            `UPDATE ${table} SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(c => before[c]), entry.entity_id]
+          );
+        }
+      }
+
+      await this.run(
+        `UPDATE audit_log SET undone_at = CURRENT_TIMESTAMP WHERE id IN (${entries.map(() => '?').join(', ')})`,
+        entries.map(e => e.id)
+      );
+
+      // Rollups follow the restored fills
+      for (const tradeId of tradeIds) {
+        if (await this.get('SELECT id FROM trades WHERE id = ?', [tradeId])) {
+          await this.syncTrade(tradeId);
+        }
+      }
+
+      await this.run('COMMIT');
+    } catch (error) {
+      await this.run('ROLLBACK');
+      throw error;
+    }
+
+    return entries;
+  }
+
+  // Tag operations
+  async tagEntity(kind, id, tags) {
+    const link = TAG_LINKS[kind];
+    for (const name of normalizeTags(tags)) {
+      await this.run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [name]);
+      await this.run(
+        `INSERT OR IGNORE INTO ${link.table} (${link.column}, tag_id) SELECT ?, id FROM tags WHERE name = ?`,
+        [id, name]
+      );
+    }
+  }
+
+  // Adds a sorted `tags` array to each row
+  async attachTags(kind, rows) {
+    if (rows.length === 0) return rows;
+
+    const link = TAG_LINKS[kind];
+    const ids = rows.map(r => r.id);
+    const links = await this.all(
+      `SELECT l.${link.column} as id, t.name FROM ${link.table} l JOIN tags t ON t.id = l.tag_id
+       WHERE l.${link.column} IN (${ids.map(() => '?').join(', ')}) ORDER BY t.name`,
+      ids
+    );
+
+    const byId = new Map(ids.map(id => [id, []]));
+    links.forEach(l => byId.get(l.id).push(l.name));
+    return rows.map(r => ({ ...r, tags: byId.get(r.id) }));
+  }
+
+  // WHERE clause matching rows that carry every tag given
+  buildTagFilter(kind, tags, idColumn = 'id') {
+    const link = TAG_LINKS[kind];
+    const names = normalizeTags(tags);
+    return {
+      sql: names.map(() => ` AND ${idColumn} IN (SELECT l.${link.column} FROM ${link.table} l JOIN tags t ON t.id = l.tag_id WHERE t.name = ?)`).join(''),
+      params: names
+    };
+  }
+
+  async getTags() {
+    return await this.all(`
+      SELECT t.name,
+        (SELECT COUNT(*) FROM trade_tags WHERE tag_id = t.id) as trades,
+        (SELECT COUNT(*) FROM narrative_tags WHERE tag_id = t.id) as narratives,
+        (SELECT COUNT(*) FROM watchlist_tags WHERE tag_id = t.id) as watchlist
+      FROM tags t
+      ORDER BY t.name
+    `);
+  }
+
+  // Fee schedule operations
+  async getFeeSchedules() {
+    return await this.all('SELECT * FROM fee_schedules ORDER BY name');
+  }
+
+  // Named schedule, or the default one when no name is given
+  async getFeeSchedule(name = null) {
+    if (!name) {
+      return await this.get('SELECT * FROM fee_schedules WHERE is_default = 1');
+    }
+
+    const schedule = await this.get('SELECT * FROM fee_schedules WHERE name = ?', [name]);
+    if (!schedule) {
+      throw new Error(`Fee schedule "${name}" not found`);
+    }
+    return schedule;
+  }
+
+  async getFeeScheduleById(id) {
+    if (!id) return null;
+    return await this.get('SELECT * FROM fee_schedules WHERE id = ?', [id]);
+  }
+
+  async saveFeeSchedule(name, fields = {}) {
+    const columns = FEE_FIELDS.filter(f => fields[f] !== undefined);
+    const existing = await this.get('SELECT id FROM fee_schedules WHERE name = ?', [name]);
+
+    if (existing) {
+      if (columns.length > 0) {
+        const sets = columns.map(c => `${c} = ?`).join(', ');
+        await this.run(`UPDATE fee_schedules SET ${sets} WHERE id = ?`, [...columns.map(c => fields[c]), existing.id]);
+      }
+      return existing.id;
+    }
+
+    const sql = `INSERT INTO fee_schedules (name${columns.map(c => `, ${c}`).join('')}) VALUES (?${', ?'.repeat(columns.length)})`;
+    const result = await this.run(sql, [name, ...columns.map(c => fields[c])]);
+    return result.lastID;
+  }
+
+  async setDefaultFeeSchedule(name) {
+    const schedule = await this.getFeeSchedule(name);
+    await this.run('UPDATE fee_schedules SET is_default = CASE WHEN id = ? THEN 1 ELSE 0 END', [schedule.id]);
+    return schedule;
+  }
+
+  // Account operations
+  async getAccounts() {
+    return await this.all(`
+      SELECT a.*, f.name AS fee_schedule, COALESCE(SUM(l.amount), 0) AS balance
+      FROM accounts a
+      LEFT JOIN fee_schedules f ON f.id = a.fee_schedule_id
+      LEFT JOIN cash_ledger l ON l.account_id = a.id AND ${LIVE_LEDGER}
+      GROUP BY a.id
+      ORDER BY a.name
+    `);
+  }
+
+  // Named account, or the default one when no name is given
+  async getAccount(name = null) {
+    if (!name) {
+      const account = await this.get('SELECT * FROM accounts WHERE is_default = 1');
+      if (!account) {
+        throw new Error('No default account; create one with "horsey account add"');
+      }
+      return account;
+    }
+
+    const account = await this.get('SELECT * FROM accounts WHERE name = ?', [name]);
+    if (!account) {
+      throw new Error(`Account "${name}" not found`);
+    }
+    return account;
+  }
+
+  async addAccount(name, options = {}) {
+    const schedule = options.fees ? await this.getFeeSchedule(options.fees) : await this.getFeeSchedule();
+    const hasDefault = await this.get('SELECT id FROM accounts WHERE is_default = 1');
+
+    const sql = `
+      INSERT INTO accounts (name, type, broker, fee_schedule_id, is_default)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    const result = await this.run(sql, [
+      name,
+      options.type || 'margin',
+      options.broker || null,
+      schedule ? schedule.id : null,
+      hasDefault ? 0 : 1
+    ]);
+
+    return result.lastID;
+  }
+
+  async setDefaultAccount(name) {
+    const account = await this.getAccount(name);
+    await this.run('UPDATE accounts SET is_default = CASE WHEN id = ? THEN 1 ELSE 0 END', [account.id]);
+    return account;
+  }
+
+  async addLedgerEntry(accountName, type, amount, note = null) {
+    const account = await this.getAccount(accountName);
+    // Withdrawals are stored negative whatever sign was typed
+    const signed = type === 'withdrawal' ? -Math.abs(amount) : type === 'deposit' ? Math.abs(amount) : amount;
+
+    const sql = 'INSERT INTO cash_ledger (account_id, type, amount, note) VALUES (?, ?, ?, ?)';
+    const result = await this.run(sql, [account.id, type, signed, note]);
+    return result.lastID;
+  }
+
+  // Ledger rows oldest first, each with the running balance after it
+  async getLedger(accountName = null) {
+    const account = await this.getAccount(accountName);
+    const rows = await this.all(`
+      SELECT l.*, t.ticker
+      FROM cash_ledger l
+      LEFT JOIN trades t ON t.id = l.trade_id
+      WHERE l.account_id = ? AND ${LIVE_LEDGER}
+      ORDER BY l.entry_time, l.id
+    `, [account.id]);
+
+    let balance = 0;
+    return rows.map(row => {
+      balance += row.amount;
+      return { ...row, balance: Math.round(balance * 100) / 100 };
+    });
+  }
+
+  // Cash balance of one account, or of every account when none is given
+  async getAccountEquity(accountName = null) {
+    if (!accountName) {
+      const row = await this.get(`SELECT COALESCE(SUM(amount), 0) AS balance FROM cash_ledger l WHERE ${LIVE_LEDGER}`);
+      return Math.round(row.balance * 100) / 100;
+    }
+
+    const account = await this.getAccount(accountName);
+    const row = await this.get(`SELECT COALESCE(SUM(amount), 0) AS balance FROM cash_ledger l WHERE account_id = ? AND ${LIVE_LEDGER}`, [account.id]);
+    return Math.round(row.balance * 100) / 100;
+  }
+
+  // Journal operations
+  async setPlan(plan) {
+    return await this.editJournal(calendar.today(), { premarket_plan: plan });
+  }
+
   async setReview(review, options = {}) {
-    const today = new Date().toISOString().split('T')[0];
-    
-    // Try to update first, then insert if no rows affected
-    let result = await this.run(`
-      UPDATE journal 
-      SET postmarket_review = ?, market_context = ?, grade = ?, updated_at = CURRENT_TIMESTAMP 
-      WHERE date = ?
-    `, [review, options.context || null, options.grade || null, today]);
-    
-    if (result.changes === 0) {
-      result = await this.run(`
-        INSERT INTO journal (date, postmarket_review, market_context, grade) 
-        VALUES (?, ?, ?, ?)
-      `, [today, review, options.context || null, options.grade || null]);
+    return await this.editJournal(calendar.today(), {
+      postmarket_review: review,
+      market_context: options.context || null,
+      grade: options.grade || null
+    });
+  }
+
+  // Update a day's journal, creating the entry if the day has none yet.
+  // Writing to a deleted day brings it back.
+  async editJournal(date, changes) {
+    const existing = await this.get('SELECT * FROM journal WHERE date = ?', [date]);
+
+    if (!existing) {
+      const columns = Object.keys(changes).filter(c => changes[c] !== undefined);
+      const result = await this.run(
+        `INSERT INTO journal (date, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+        [date, ...columns.map(c => changes[c])]
+      );
+      await this.logCreate('journal', result.lastID);
+      return result;
     }
-    
-    return result;
+
+    return await this.updateRecord('journal', existing.id, { ...changes, deleted_at: null });
   }
 
   async getJournal(date = null) {
     if (!date) {
-      date = new Date().toISOString().split('T')[0];
+      date = calendar.today();
     }
     
+    const journal = await this.get('SELECT * FROM journal WHERE date = ? AND deleted_at IS NULL', [date]);
+    if (!journal) return journal;
+    return (await this.attachAttachments('journal_id', [journal]))[0];
+  }
+
+  // Journal row for a date, created empty if the day has no entry yet
+  async ensureJournal(date = null) {
+    if (!date) {
+      date = calendar.today();
+    }
+
+    await this.run('INSERT OR IGNORE INTO journal (date) VALUES (?)', [date]);
     return await this.get('SELECT * FROM journal WHERE date = ?', [date]);
   }
 
+  // Full-text search over notes, lessons, narratives and journal text.
+  // Plain words are fine; FTS5 syntax (phrases, OR, prefix*) also works.
+  async search(query, options = {}) {
+    const { ticker = null, from = null, to = null, entity = null, limit = 20, highlight = ['[', ']'] } = options;
+
+    let sql = `
+      SELECT entity, entity_id, field, ticker, date,
+        snippet(search_index, 5, ?, ?, '…', 16) as snippet,
+        bm25(search_index) as rank
+      FROM search_index
+      WHERE search_index MATCH ?`;
+    const params = [highlight[0], highlight[1]];
+    const filters = [];
+
+    if (ticker) {
+      filters.push(' AND ticker = ?');
+      params.push(ticker.toUpperCase());
+    }
+    if (from) {
+      filters.push(' AND date >= ?');
+      params.push(from);
+    }
+    if (to) {
+      filters.push(' AND date <= ?');
+      params.push(to);
+    }
+    if (entity) {
+      filters.push(' AND entity = ?');
+      params.push(entity);
+    }
+    sql += filters.join('') + ' ORDER BY rank LIMIT ?';
+
+    const run = (match) => this.all(sql, [params[0], params[1], match, ...params.slice(2), limit]);
+    try {
+      return await run(query);
+    } catch (error) {
+      if (!/fts5: syntax error|no such column/.test(error.message)) throw error;
+      // Punctuation like "-" or ":" is FTS5 syntax; retry as literal terms
+      const literal = query.split(/\s+/).filter(Boolean).map(term => `"${term.replace(/"/g, '""')}"`).join(' ');
+      return await run(literal);
+    }
+  }
+
+  // Attachment operations
+  async addAttachment(fields) {
+    const columns = Object.keys(fields);
+    const result = await this.run(
+      `INSERT INTO attachments (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(c => fields[c])
+    );
+    return result.lastID;
+  }
+
+  async findAttachment(sha256, { tradeId = null, journalId = null }) {
+    return await this.get(
+      'SELECT * FROM attachments WHERE sha256 = ? AND trade_id IS ? AND journal_id IS ?',
+      [sha256, tradeId, journalId]
+    );
+  }
+
+  // Adds an `attachments` array to each row, keyed by trade_id or journal_id
+  async attachAttachments(column, rows) {
+    if (rows.length === 0) return rows;
+
+    const ids = rows.map(r => r.id);
+    const attachments = await this.all(
+      `SELECT * FROM attachments WHERE ${column} IN (${ids.map(() => '?').join(', ')}) ORDER BY created_at, id`,
+      ids
+    );
+    return rows.map(r => ({ ...r, attachments: attachments.filter(a => a[column] === r.id) }));
+  }
+
   // Playbook operations
   async addPlaybook(name, options = {}) {
     const sql = `
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+const { getMultiplier, getPositionSide } = require('./pnl');
+
+// Maximum adverse and favorable excursion: the most a closed trade was
+// underwater (heat taken) and the most it was up (profit available) between
+// entry and exit, from intraday bars. Both are stored on the trade as
+// positive dollar amounts over the full size, along with the prices they
+// came from. Entry and exit prices count as seen, so a trade that never had
+// a bar still can't report less than it realized.
+//
+// Bars must be in the trade's price units: the ticker for shares, the
+// contract's OCC symbol for single-leg options. Multi-leg trades are skipped.
+
+const INTERVALS = ['1m', '5m'];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Excursions of one trade from bars already limited to its window, or null
+// when there are none
+function computeExcursion(trade, bars) {
+  const window = bars.filter(bar => bar.time >= trade.entry_time && bar.time <= trade.exit_time);
+  if (window.length === 0) return null;
+
+  const side = getPositionSide(trade.direction, trade.instrument, !!trade.is_credit);
+  const sign = side === 'long' ? 1 : -1;
+  const units = trade.size * getMultiplier(trade.instrument);
+  const lowest = Math.min(trade.entry_price, trade.exit_price, ...window.map(b => b.low));
+  const highest = Math.max(trade.entry_price, trade.exit_price, ...window.map(b => b.high));
+  const worst = side === 'long' ? lowest : highest;
+  const best = side === 'long' ? highest : lowest;
+
+  return {
+    mae: round((trade.entry_price - worst) * sign * units),
+    mfe: round((best - trade.entry_price) * sign * units),
+    maePrice: worst,
+    mfePrice: best,
+    bars: window.length
+  };
+}
+
+// How much of the best move the exit kept, in percent, before fees.
+// Null when the trade was never in profit.
+function exitEfficiency(trade) {
+  if (trade.mfe_price === null || trade.mfe_price === undefined || trade.mfe_price === trade.entry_price) return null;
+  return round(((trade.exit_price - trade.entry_price) / (trade.mfe_price - trade.entry_price)) * 100);
+}
+
+class HorseyExcursions {
+  // `bars` is a bar source (see bars.js)
+  constructor(db, bars) {
+    this.db = db;
+    this.bars = bars;
+  }
+
+  // The symbol whose bars price this trade, or null
+  symbolFor(trade) {
+    if (trade.instrument === 'shares') return trade.ticker;
+    if (trade.legs && trade.legs.length === 1) return trade.legs[0].occ_symbol;
+    return null;
+  }
+
+  // Measure every closed trade that hasn't been measured (all of them with
+  // `force`), trying each interval in turn until one has bars. Returns one
+  // result per trade: { trade, excursion, interval, skipped }.
+  async run(options = {}) {
+    const { ticker = null, intervals = INTERVALS, force = false, dryRun = false } = options;
+    const trades = (await this.db.getTrades({ ticker, includePaper: true }))
+      .filter(t => t.status === 'closed' && (force || t.mae === null))
+      .reverse();
+    const results = [];
+
+    for (const trade of trades) {
+      const symbol = this.symbolFor(trade);
+      if (!symbol) {
+        results.push({ trade, excursion: null, interval: null, skipped: 'no single leg to price' });
+        continue;
+      }
+
+      let excursion = null;
+      let used = null;
+      for (const interval of intervals) {
+        const bars = await this.bars.getBars(symbol, { from: trade.entry_time, to: trade.exit_time, interval });
+        excursion = computeExcursion(trade, bars);
+        if (excursion) {
+          used = interval;
+          break;
+        }
+      }
+
+      if (!excursion) {
+        results.push({ trade, excursion: null, interval: null, skipped: `no bars for ${symbol}` });
+        continue;
+      }
+
+      if (!dryRun) {
+        await this.db.updateRecord('trade', trade.id, {
+          mae: excursion.mae,
+          mfe: excursion.mfe,
+          mae_price: excursion.maePrice,
+          mfe_price: excursion.mfePrice
+        }, { reason: `Excursions from ${excursion.bars} ${used} bars` });
+      }
+      results.push({ trade, excursion, interval: used, skipped: null });
+    }
+
+    return results;
+  }
+}
+
+module.exports = HorseyExcursions;
+module.exports.INTERVALS = INTERVALS;
+module.exports.computeExcursion = computeExcursion;
+module.exports.exitEfficiency = exitEfficiency;
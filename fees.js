@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+// Fee schedules. A schedule is a row of fee_schedules; every field is
+// optional and zero means "not charged". Regulatory fees (SEC Section 31
+// and FINRA TAF) only apply to sells.
+
+const { getMultiplier, getPositionSide, getNotional } = require('./pnl');
+
+const FEE_FIELDS = [
+  'per_order',         // flat $ per order
+  'per_share',         // $ per share (shares only)
+  'per_contract',      // $ per contract (options only)
+  'min_per_order',     // commission floor per order
+  'max_per_order_pct', // commission cap on share orders, % of notional
+  'sec_fee_rate',      // $ per $1 of sell notional
+  'taf_per_share',     // $ per share sold
+  'taf_per_contract',  // $ per contract sold
+  'taf_max'            // TAF cap per order
+];
+
+// Whether a fill buys or sells, given the trade's actual position side
+function getOrderAction(direction, instrument, fillSide, isCredit = false) {
+  const side = getPositionSide(direction, instrument, isCredit);
+  if (side === 'long') return fillSide === 'entry' ? 'buy' : 'sell';
+  return fillSide === 'entry' ? 'sell' : 'buy';
+}
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Fee breakdown for one order under `schedule`. `contracts` overrides
+// `size` for multi-leg orders, where each unit is several contracts;
+// regulatory fees on those are approximated from the net premium.
+function calculateFees(schedule, { instrument, action, price, size, contracts = null }) {
+  if (!schedule) {
+    return { commission: 0, sec: 0, taf: 0, total: 0 };
+  }
+
+  const isShares = getMultiplier(instrument) === 1;
+  const notional = getNotional(price, size, instrument);
+  const units = contracts || size;
+
+  let commission = (schedule.per_order || 0) +
+    (isShares ? (schedule.per_share || 0) : (schedule.per_contract || 0)) * units;
+
+  if (commission > 0 && schedule.min_per_order) {
+    commission = Math.max(commission, schedule.min_per_order);
+  }
+  if (isShares && schedule.max_per_order_pct) {
+    commission = Math.min(commission, notional * schedule.max_per_order_pct / 100);
+  }
+
+  let sec = 0;
+  let taf = 0;
+  if (action === 'sell') {
+    // SEC fees are rounded up to the nearest cent
+    sec = Math.ceil(notional * (schedule.sec_fee_rate || 0) * 100) / 100;
+    taf = units * (isShares ? (schedule.taf_per_share || 0) : (schedule.taf_per_contract || 0));
+    if (schedule.taf_max) {
+      taf = Math.min(taf, schedule.taf_max);
+    }
+  }
+
+  commission = roundCents(commission);
+  taf = roundCents(taf);
+
+  return { commission, sec, taf, total: roundCents(commission + sec + taf) };
+}
+
+function describeSchedule(schedule) {
+  const parts = [];
+  if (schedule.per_order) parts.push(`$${schedule.per_order}/order`);
+  if (schedule.per_share) parts.push(`$${schedule.per_share}/share`);
+  if (schedule.per_contract) parts.push(`$${schedule.per_contract}/contract`);
+  if (schedule.min_per_order) parts.push(`min $${schedule.min_per_order}`);
+  if (schedule.max_per_order_pct) parts.push(`max ${schedule.max_per_order_pct}%`);
+  if (schedule.sec_fee_rate) parts.push('SEC');
+  if (schedule.taf_per_share || schedule.taf_per_contract) parts.push('TAF');
+  return parts.join(', ') || 'free';
+}
+
+module.exports = {
+  FEE_FIELDS,
+  getOrderAction,
+  calculateFees,
+  describeSchedule
+};
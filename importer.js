@@ -0,0 +1,458 @@
+#!/usr/bin/env node
+
+const crypto = require('crypto');
+const { getPositionSide, summarizeExecutions } = require('./pnl');
+const { parseOccSymbol, formatOccSymbol } = require('./options');
+const { marketToUtc } = require('./calendar');
+
+// Broker statement import. Each format parser turns an export into
+// normalized fills; plan() matches them FIFO into round-trip trades and
+// apply() writes the plan. Fills are deduped on their broker execution ID -
+// formats without one get a stable hash of the row instead.
+
+const FORMATS = ['tos', 'ibkr-flex', 'schwab', 'generic-csv'];
+
+// Minimal RFC 4180 CSV: quoted fields, escaped quotes, CRLF
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const c = content[i];
+
+    if (quoted) {
+      if (c === '"' && content[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && content[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += c;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Rows as objects keyed by lowercased, trimmed header
+function toRecords(header, rows) {
+  const keys = header.map(h => h.trim().toLowerCase());
+  return rows.map(r => {
+    const record = {};
+    keys.forEach((k, i) => { record[k] = (r[i] || '').trim(); });
+    return record;
+  });
+}
+
+function pick(record, ...names) {
+  for (const name of names) {
+    if (record[name] !== undefined && record[name] !== '') return record[name];
+  }
+  return '';
+}
+
+function parseNumber(value) {
+  if (value === '' || value === undefined || value === null) return null;
+  const n = parseFloat(String(value).replace(/[$,+\s]/g, ''));
+  return isNaN(n) ? null : n;
+}
+
+function twoDigitYear(yy) {
+  return yy.length === 2 ? `20${yy}` : yy;
+}
+
+// "10/18/24" or "10/18/2024" -> "2024-10-18"
+function parseUsDate(value) {
+  const match = /^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/.exec(value);
+  if (!match) return null;
+  return `${twoDigitYear(match[3])}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+const MONTHS = { JAN: '01', FEB: '02', MAR: '03', APR: '04', MAY: '05', JUN: '06', JUL: '07', AUG: '08', SEP: '09', OCT: '10', NOV: '11', DEC: '12' };
+
+function buildFill({ execId, date, time, symbol, contract, action, quantity, price, fees }) {
+  return {
+    execId,
+    tradeDate: date,
+    executedAt: marketToUtc(date, time),
+    ticker: (contract ? contract.underlying : symbol).toUpperCase(),
+    contract: contract || null,
+    action,
+    quantity: Math.abs(quantity),
+    price: Math.abs(price),
+    fees: fees === null || fees === undefined ? null : Math.abs(fees)
+  };
+}
+
+// Stable ID for formats that don't export one: the row's content plus how
+// many identical rows came before it in the same file
+function hashExecId(format, parts, seen) {
+  const key = parts.join('|');
+  const occurrence = (seen.get(key) || 0) + 1;
+  seen.set(key, occurrence);
+  const digest = crypto.createHash('sha1').update(`${key}|${occurrence}`).digest('hex').slice(0, 16);
+  return `${format}:${digest}`;
+}
+
+// thinkorswim Account Statement: the "Account Trade History" section.
+// Later legs of a spread leave Exec Time blank and inherit it.
+function parseTos(content) {
+  const rows = parseCsv(content);
+  const start = rows.findIndex(r => r.some(c => c.trim() === 'Exec Time'));
+  if (start === -1) {
+    throw new Error('No "Account Trade History" section found (expected an Exec Time column)');
+  }
+
+  const body = [];
+  for (const row of rows.slice(start + 1)) {
+    if (row.filter(c => c.trim() !== '').length <= 1) break; // next section title
+    body.push(row);
+  }
+
+  const seen = new Map();
+  let lastTime = '';
+
+  return toRecords(rows[start], body).map(r => {
+    const execTime = pick(r, 'exec time') || lastTime;
+    lastTime = execTime;
+
+    const [datePart, timePart] = execTime.split(' ');
+    const date = parseUsDate(datePart);
+    const quantity = parseNumber(pick(r, 'qty'));
+    const type = pick(r, 'type').toUpperCase();
+
+    let contract = null;
+    if (type === 'CALL' || type === 'PUT') {
+      const [dd, mon, yy] = pick(r, 'exp').split(' ');
+      const expiry = `${twoDigitYear(yy)}-${MONTHS[mon.toUpperCase()]}-${dd.padStart(2, '0')}`;
+      contract = parseOccSymbol(formatOccSymbol(pick(r, 'symbol'), expiry, type === 'CALL' ? 'call' : 'put', parseNumber(pick(r, 'strike'))));
+    }
+
+    return buildFill({
+      execId: hashExecId('tos', [execTime, pick(r, 'side'), pick(r, 'qty'), pick(r, 'symbol'), pick(r, 'exp'), pick(r, 'strike'), pick(r, 'type'), pick(r, 'price')], seen),
+      date,
+      time: timePart,
+      symbol: pick(r, 'symbol'),
+      contract,
+      action: pick(r, 'side').toUpperCase() === 'BUY' ? 'buy' : 'sell',
+      quantity,
+      price: parseNumber(pick(r, 'price')),
+      fees: null
+    });
+  });
+}
+
+// Interactive Brokers Flex Query, Trades section as CSV
+function parseIbkrFlex(content) {
+  const rows = parseCsv(content);
+  const start = rows.findIndex(r => r.some(c => ['tradeprice', 't. price'].includes(c.trim().toLowerCase())));
+  if (start === -1) {
+    throw new Error('No Flex trades header found (expected a TradePrice column)');
+  }
+
+  // Multi-section flex files repeat the header row; skip repeats
+  const body = rows.slice(start + 1).filter(r => r.join(',') !== rows[start].join(','));
+
+  return toRecords(rows[start], body)
+    .filter(r => ['STK', 'OPT', ''].includes(pick(r, 'assetclass').toUpperCase()))
+    .map(r => {
+      // "20241018;093512", "2024-10-18;09:35:12" or "2024-10-18, 09:35:12"
+      const raw = pick(r, 'datetime', 'date/time') || `${pick(r, 'tradedate')};${pick(r, 'tradetime')}`;
+      const [d, t] = raw.split(/[;,]\s*|\s+/);
+      const digits = d.replace(/-/g, '');
+      const date = `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`;
+      const tDigits = (t || '093000').replace(/:/g, '');
+      const time = `${tDigits.slice(0, 2)}:${tDigits.slice(2, 4)}:${tDigits.slice(4, 6) || '00'}`;
+
+      let contract = null;
+      if (pick(r, 'assetclass').toUpperCase() === 'OPT') {
+        const expiry = pick(r, 'expiry').replace(/-/g, '');
+        contract = parseOccSymbol(formatOccSymbol(
+          pick(r, 'underlyingsymbol') || pick(r, 'symbol').split(' ')[0],
+          `${expiry.slice(0, 4)}-${expiry.slice(4, 6)}-${expiry.slice(6, 8)}`,
+          pick(r, 'put/call').toUpperCase().startsWith('C') ? 'call' : 'put',
+          parseNumber(pick(r, 'strike'))
+        ));
+      }
+
+      const quantity = parseNumber(pick(r, 'quantity'));
+      const side = pick(r, 'buy/sell').toUpperCase();
+
+      return buildFill({
+        execId: `ibkr:${pick(r, 'ibexecid', 'execid', 'tradeid')}`,
+        date,
+        time,
+        symbol: pick(r, 'symbol'),
+        contract,
+        action: side ? (side.startsWith('B') ? 'buy' : 'sell') : (quantity >= 0 ? 'buy' : 'sell'),
+        quantity,
+        price: parseNumber(pick(r, 'tradeprice', 't. price')),
+        fees: parseNumber(pick(r, 'ibcommission', 'comm/fee'))
+      });
+    });
+}
+
+// Schwab transaction history. Schwab exports newest first and without
+// times, so fills are reversed into file order and stamped at the open.
+function parseSchwab(content) {
+  const rows = parseCsv(content);
+  const start = rows.findIndex(r => r.some(c => c.trim() === 'Action'));
+  if (start === -1) {
+    throw new Error('No Schwab transactions header found (expected an Action column)');
+  }
+
+  const seen = new Map();
+  const tradeActions = /^(buy|sell)( short| to open| to close| to cover)?$|^buy to cover$/i;
+
+  return toRecords(rows[start], rows.slice(start + 1))
+    .filter(r => tradeActions.test(pick(r, 'action')))
+    .reverse()
+    .map(r => {
+      const date = parseUsDate(pick(r, 'date'));
+      const symbol = pick(r, 'symbol');
+
+      // Options look like "SPY 10/18/2024 580.00 C"
+      let contract = null;
+      const option = /^(\S+)\s+(\d{2}\/\d{2}\/\d{4})\s+([\d.]+)\s+([CP])$/.exec(symbol);
+      if (option) {
+        contract = parseOccSymbol(formatOccSymbol(option[1], parseUsDate(option[2]), option[4] === 'C' ? 'call' : 'put', parseFloat(option[3])));
+      }
+
+      return buildFill({
+        execId: hashExecId('schwab', [pick(r, 'date'), pick(r, 'action'), symbol, pick(r, 'quantity'), pick(r, 'price'), pick(r, 'amount')], seen),
+        date,
+        time: '09:30:00',
+        symbol,
+        contract,
+        action: pick(r, 'action').toLowerCase().startsWith('buy') ? 'buy' : 'sell',
+        quantity: parseNumber(pick(r, 'quantity')),
+        price: parseNumber(pick(r, 'price')),
+        fees: parseNumber(pick(r, 'fees & comm'))
+      });
+    });
+}
+
+// exec_id (optional), time, symbol (ticker or OCC), side, quantity, price, fees (optional)
+function parseGenericCsv(content) {
+  const rows = parseCsv(content);
+  if (rows.length === 0) return [];
+
+  const seen = new Map();
+
+  return toRecords(rows[0], rows.slice(1)).map(r => {
+    const [date, time] = pick(r, 'time', 'date', 'datetime').replace('T', ' ').split(' ');
+    const symbol = pick(r, 'symbol', 'ticker');
+    const side = pick(r, 'side', 'action').toLowerCase();
+
+    return buildFill({
+      execId: pick(r, 'exec_id', 'execution_id', 'id')
+        ? `generic:${pick(r, 'exec_id', 'execution_id', 'id')}`
+        : hashExecId('generic', [pick(r, 'time', 'date', 'datetime'), symbol, side, pick(r, 'quantity', 'qty'), pick(r, 'price')], seen),
+      date: parseUsDate(date) || date,
+      time: (time || '09:30:00').slice(0, 8),
+      symbol,
+      contract: parseOccSymbol(symbol),
+      action: side.startsWith('b') ? 'buy' : 'sell',
+      quantity: parseNumber(pick(r, 'quantity', 'qty')),
+      price: parseNumber(pick(r, 'price')),
+      fees: parseNumber(pick(r, 'fees', 'commission'))
+    });
+  });
+}
+
+const PARSERS = {
+  'tos': parseTos,
+  'ibkr-flex': parseIbkrFlex,
+  'schwab': parseSchwab,
+  'generic-csv': parseGenericCsv
+};
+
+// How a fill that opens a position maps onto our instruments. Direction is
+// the thesis: bought puts are bearish, sold puts are bullish.
+function classifyOpening(fill) {
+  const side = fill.action === 'buy' ? 'long' : 'short';
+
+  if (!fill.contract) {
+    return { direction: side, instrument: 'shares', side };
+  }
+
+  const zeroDte = fill.contract.expiry === fill.tradeDate ? '0dte-' : '';
+  if (fill.action === 'buy') {
+    return fill.contract.option_right === 'call'
+      ? { direction: 'long', instrument: `${zeroDte}calls`, side }
+      : { direction: 'short', instrument: `${zeroDte}puts`, side };
+  }
+  if (fill.contract.option_right === 'put') {
+    return { direction: 'long', instrument: 'csp', side };
+  }
+  return null; // naked short calls have no instrument here
+}
+
+class HorseyImporter {
+  constructor(db) {
+    this.db = db;
+  }
+
+  parse(content, format) {
+    const parser = PARSERS[format];
+    if (!parser) {
+      throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+    }
+
+    const fills = parser(content);
+    const invalid = fills.find(f => !f.tradeDate || f.quantity === null || f.price === null);
+    if (invalid) {
+      throw new Error(`Could not read fill ${invalid.execId} (missing date, quantity or price)`);
+    }
+
+    return fills.sort((a, b) => a.executedAt.localeCompare(b.executedAt));
+  }
+
+  // Open trades already on file for one contract, oldest first, as FIFO lots
+  async loadOpenLots(accountName, fill) {
+    const trades = (await this.db.getTrades({ open: true, account: accountName }))
+      .filter(t => t.ticker === fill.ticker)
+      .filter(t => fill.contract
+        ? t.legs.length === 1 && t.legs[0].occ_symbol === fill.contract.occ_symbol
+        : t.instrument === 'shares')
+      .reverse();
+
+    const lots = [];
+    for (const trade of trades) {
+      const { openSize } = summarizeExecutions(trade, await this.db.getExecutions(trade.id));
+      lots.push({
+        ref: trade.id,
+        existing: true,
+        side: getPositionSide(trade.direction, trade.instrument, !!trade.is_credit),
+        openSize
+      });
+    }
+    return lots;
+  }
+
+  // Match fills FIFO into steps: open a trade, add to one, or exit one.
+  // A fill that closes more than is open flips into a new trade.
+  async plan(fills, options = {}) {
+    const account = await this.db.getAccount(options.account);
+    const steps = [];
+    const books = new Map();
+    const seenIds = new Set();
+    let nextNew = 1;
+
+    for (const fill of fills) {
+      if (seenIds.has(fill.execId) || await this.db.hasBrokerExecution(fill.execId)) {
+        steps.push({ fill, type: 'duplicate', size: fill.quantity });
+        continue;
+      }
+      seenIds.add(fill.execId);
+
+      const key = fill.contract ? fill.contract.occ_symbol : fill.ticker;
+      if (!books.has(key)) {
+        books.set(key, await this.loadOpenLots(account.name, fill));
+      }
+      const lots = books.get(key);
+      const opensSide = fill.action === 'buy' ? 'long' : 'short';
+
+      let remaining = fill.quantity;
+      let part = 1;
+      const partId = () => (part++ === 1 ? fill.execId : `${fill.execId}#${part - 1}`);
+      const partFees = (size) => (fill.fees === null ? null : Math.round(fill.fees * (size / fill.quantity) * 100) / 100);
+
+      // Reduce open lots first, oldest first
+      while (remaining > 0 && lots.length > 0 && lots[0].side !== opensSide) {
+        const lot = lots[0];
+        const size = Math.min(remaining, lot.openSize);
+        steps.push({ fill, type: 'exit', ref: lot.ref, size, execId: partId(), fees: partFees(size) });
+        lot.openSize -= size;
+        remaining -= size;
+        if (lot.openSize === 0) lots.shift();
+      }
+
+      if (remaining === 0) continue;
+
+      // Scale into the newest lot on the same side
+      const sameSide = lots.filter(l => l.side === opensSide);
+      if (sameSide.length > 0) {
+        const lot = sameSide[sameSide.length - 1];
+        steps.push({ fill, type: 'add', ref: lot.ref, size: remaining, execId: partId(), fees: partFees(remaining) });
+        lot.openSize += remaining;
+        continue;
+      }
+
+      const opening = classifyOpening(fill);
+      if (!opening) {
+        steps.push({ fill, type: 'skipped', size: remaining, reason: 'short calls are not supported' });
+        continue;
+      }
+
+      const ref = `new ${nextNew++}`;
+      steps.push({ fill, type: 'open', ref, size: remaining, execId: partId(), fees: partFees(remaining), ...opening });
+      lots.push({ ref, existing: false, side: opening.side, openSize: remaining });
+    }
+
+    return steps;
+  }
+
+  // Write a plan; returns counts plus the trade IDs touched
+  async apply(steps, options = {}) {
+    const ids = new Map();
+    const touched = new Set();
+    const counts = { opened: 0, fills: 0, duplicates: 0, skipped: 0 };
+
+    for (const step of steps) {
+      if (step.type === 'duplicate') { counts.duplicates++; continue; }
+      if (step.type === 'skipped') { counts.skipped++; continue; }
+
+      const { fill } = step;
+
+      if (step.type === 'open') {
+        const id = await this.db.openTrade(fill.ticker, step.direction, step.instrument, fill.price, step.size, {
+          account: options.account,
+          legs: fill.contract ? [{ ...fill.contract, quantity: fill.action === 'buy' ? 1 : -1, entry_price: fill.price }] : [],
+          entryFees: step.fees,
+          executedAt: fill.executedAt,
+          brokerExecId: step.execId,
+          notes: `Imported from ${options.format}`
+        });
+        ids.set(step.ref, id);
+        counts.opened++;
+        counts.fills++;
+        continue;
+      }
+
+      const tradeId = ids.has(step.ref) ? ids.get(step.ref) : step.ref;
+      const trade = await this.db.get('SELECT * FROM trades WHERE id = ?', [tradeId]);
+      await this.db.addExecution(trade, step.type === 'add' ? 'entry' : 'exit', fill.price, step.size, {
+        fees: step.fees,
+        executedAt: fill.executedAt,
+        brokerExecId: step.execId
+      });
+      touched.add(tradeId);
+      counts.fills++;
+    }
+
+    // Roll up once per trade, after all of its fills are in
+    for (const id of touched) {
+      await this.db.syncTrade(id);
+    }
+
+    return { ...counts, tradeIds: [...new Set([...ids.values(), ...touched])] };
+  }
+}
+
+module.exports = HorseyImporter;
+module.exports.FORMATS = FORMATS;
+module.exports.parseCsv = parseCsv;
@@ -0,0 +1,656 @@
+#!/usr/bin/env node
+
+// Ordered schema migrations. Each entry runs once, inside a transaction, and
+// is recorded in schema_version. Never edit a migration that has shipped -
+// add a new one with the next version number instead.
+
+// Text columns indexed by search_index, per table. Rebuilding one of these
+// tables drops its triggers, so migrations that do must call
+// createSearchTriggers() again.
+const SEARCH_SOURCES = {
+  trades: {
+    entity: 'trade',
+    fields: ['notes', 'lessons'],
+    keys: ['ticker', 'entry_time'],
+    ticker: (t) => `${t}.ticker`,
+    date: (t) => `date(${t}.entry_time)`
+  },
+  narratives: {
+    entity: 'narrative',
+    fields: ['narrative'],
+    keys: ['ticker', 'created_at'],
+    ticker: (t) => `${t}.ticker`,
+    date: (t) => `date(${t}.created_at)`
+  },
+  journal: {
+    entity: 'journal',
+    fields: ['premarket_plan', 'postmarket_review', 'market_context'],
+    keys: ['date'],
+    ticker: () => 'NULL',
+    date: (t) => `${t}.date`
+  }
+};
+
+// SELECT producing the search rows for `table`, reading columns from `alias`
+// (the table itself for a backfill, `new` inside a trigger). Soft-deleted
+// rows are left out once the table has a deleted_at column.
+function searchRowsSql(table, alias, softDelete = false) {
+  const source = SEARCH_SOURCES[table];
+  const from = alias === table ? ` FROM ${table}` : '';
+  const live = softDelete ? ` AND ${alias}.deleted_at IS NULL` : '';
+
+  return source.fields.map(field =>
+    `SELECT '${source.entity}', ${alias}.id, '${field}', ${source.ticker(alias)}, ${source.date(alias)}, ${alias}.${field}${from} WHERE ${alias}.${field} IS NOT NULL AND ${alias}.${field} != ''${live}`
+  ).join(' UNION ALL ');
+}
+
+async function createSearchTriggers(m, table) {
+  const source = SEARCH_SOURCES[table];
+  const softDelete = await m.hasColumn(table, 'deleted_at');
+  const insert = `INSERT INTO search_index (entity, entity_id, field, ticker, date, body) ${searchRowsSql(table, 'new', softDelete)};`;
+  const remove = `DELETE FROM search_index WHERE entity = '${source.entity}' AND entity_id = old.id;`;
+  const watched = [...source.fields, ...source.keys, ...(softDelete ? ['deleted_at'] : [])].join(', ');
+
+  await m.run(`CREATE TRIGGER IF NOT EXISTS ${table}_search_insert AFTER INSERT ON ${table} BEGIN ${insert} END`);
+  await m.run(`CREATE TRIGGER IF NOT EXISTS ${table}_search_update AFTER UPDATE OF ${watched} ON ${table} BEGIN ${remove} ${insert} END`);
+  await m.run(`CREATE TRIGGER IF NOT EXISTS ${table}_search_delete AFTER DELETE ON ${table} BEGIN ${remove} END`);
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: async (m) => {
+      // IF NOT EXISTS so databases created before versioning adopt cleanly
+      await m.run(`CREATE TABLE IF NOT EXISTS narratives (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ticker TEXT NOT NULL,
+        narrative TEXT NOT NULL,
+        direction TEXT CHECK(direction IN ('bull', 'bear', 'neutral')) DEFAULT 'neutral',
+        timeframe TEXT CHECK(timeframe IN ('intraday', 'swing', 'multi-day')) DEFAULT 'intraday',
+        key_levels TEXT,
+        invalidation REAL,
+        status TEXT CHECK(status IN ('active', 'triggered', 'invalidated', 'expired')) DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME
+      )`);
+
+      await m.run(`CREATE TABLE IF NOT EXISTS watchlist (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date DATE NOT NULL,
+        ticker TEXT NOT NULL,
+        setup TEXT NOT NULL,
+        key_levels TEXT,
+        bias TEXT CHECK(bias IN ('long', 'short', 'neutral')) DEFAULT 'neutral',
+        priority INTEGER CHECK(priority BETWEEN 1 AND 5) DEFAULT 3,
+        options_flow_note TEXT,
+        status TEXT CHECK(status IN ('watching', 'triggered', 'skipped', 'missed')) DEFAULT 'watching',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      await m.run(`CREATE TABLE IF NOT EXISTS trades (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ticker TEXT NOT NULL,
+        direction TEXT CHECK(direction IN ('long', 'short')) NOT NULL,
+        instrument TEXT CHECK(instrument IN ('shares', 'calls', 'puts', '0dte-calls', '0dte-puts', 'csp')) NOT NULL,
+        entry_price REAL NOT NULL,
+        entry_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+        exit_price REAL,
+        exit_time DATETIME,
+        size INTEGER NOT NULL,
+        cost_basis REAL NOT NULL,
+        proceeds REAL,
+        pnl REAL,
+        pnl_pct REAL,
+        setup_type TEXT CHECK(setup_type IN ('breakout', 'fade', 'momentum', 'reversal', 'csp', 'squeeze', 'other')) DEFAULT 'other',
+        narrative_id INTEGER,
+        watchlist_id INTEGER,
+        planned_risk REAL,
+        planned_target REAL,
+        actual_rr REAL,
+        notes TEXT,
+        lessons TEXT,
+        status TEXT CHECK(status IN ('open', 'closed', 'partial')) DEFAULT 'open',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (narrative_id) REFERENCES narratives(id),
+        FOREIGN KEY (watchlist_id) REFERENCES watchlist(id)
+      )`);
+
+      await m.run(`CREATE TABLE IF NOT EXISTS journal (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date DATE UNIQUE NOT NULL,
+        premarket_plan TEXT,
+        postmarket_review TEXT,
+        market_context TEXT,
+        grade TEXT CHECK(grade IN ('A', 'B', 'C', 'D', 'F')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      await m.run(`CREATE TABLE IF NOT EXISTS playbook (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        entry_rules TEXT,
+        exit_rules TEXT,
+        risk_rules TEXT,
+        example_tickers TEXT,
+        win_rate REAL DEFAULT 0,
+        status TEXT CHECK(status IN ('active', 'retired')) DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      await m.run('CREATE INDEX IF NOT EXISTS idx_narratives_status ON narratives(status)');
+      await m.run('CREATE INDEX IF NOT EXISTS idx_narratives_ticker ON narratives(ticker)');
+      await m.run('CREATE INDEX IF NOT EXISTS idx_watchlist_date ON watchlist(date)');
+      await m.run('CREATE INDEX IF NOT EXISTS idx_watchlist_status ON watchlist(status)');
+      await m.run('CREATE INDEX IF NOT EXISTS idx_trades_status ON trades(status)');
+      await m.run('CREATE INDEX IF NOT EXISTS idx_trades_ticker ON trades(ticker)');
+      await m.run('CREATE INDEX IF NOT EXISTS idx_trades_entry_time ON trades(entry_time)');
+    }
+  },
+  {
+    version: 2,
+    name: 'trades_is_paper',
+    up: async (m) => {
+      // Older databases had this column added by hand
+      await m.addColumn('trades', 'is_paper', 'INTEGER DEFAULT 0');
+      await m.run('CREATE INDEX IF NOT EXISTS idx_trades_is_paper ON trades(is_paper)');
+    }
+  },
+  {
+    version: 3,
+    name: 'executions',
+    up: async (m) => {
+      await m.run(`CREATE TABLE IF NOT EXISTS executions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trade_id INTEGER NOT NULL,
+        side TEXT CHECK(side IN ('entry', 'exit')) NOT NULL,
+        price REAL NOT NULL,
+        size INTEGER NOT NULL CHECK(size > 0),
+        fees REAL DEFAULT 0,
+        pnl REAL,
+        executed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (trade_id) REFERENCES trades(id) ON DELETE CASCADE
+      )`);
+      await m.run('CREATE INDEX IF NOT EXISTS idx_executions_trade_id ON executions(trade_id)');
+
+      // Every existing trade becomes one entry fill, plus one exit fill if closed.
+      // Entry fees are whatever cost_basis carried above the entry notional.
+      await m.run(`INSERT INTO executions (trade_id, side, price, size, fees, executed_at)
+        SELECT id, 'entry', entry_price, size,
+               cost_basis - entry_price * size * (CASE instrument WHEN 'shares' THEN 1 ELSE 100 END),
+               entry_time
+        FROM trades`);
+      await m.run(`INSERT INTO executions (trade_id, side, price, size, fees, pnl, executed_at)
+        SELECT id, 'exit', exit_price, size, 0, pnl, COALESCE(exit_time, entry_time)
+        FROM trades
+        WHERE exit_price IS NOT NULL`);
+    }
+  },
+  {
+    version: 4,
+    name: 'fee_schedules',
+    up: async (m) => {
+      await m.run(`CREATE TABLE IF NOT EXISTS fee_schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        per_order REAL DEFAULT 0,
+        per_share REAL DEFAULT 0,
+        per_contract REAL DEFAULT 0,
+        min_per_order REAL DEFAULT 0,
+        max_per_order_pct REAL DEFAULT 0,
+        sec_fee_rate REAL DEFAULT 0,
+        taf_per_share REAL DEFAULT 0,
+        taf_per_contract REAL DEFAULT 0,
+        taf_max REAL DEFAULT 0,
+        is_default INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      // 'default' reproduces the old hardcoded $1 round trip
+      await m.run(`INSERT OR IGNORE INTO fee_schedules (name, per_order, is_default) VALUES ('default', 0.5, 1)`);
+      await m.run(`INSERT OR IGNORE INTO fee_schedules
+        (name, per_share, per_contract, min_per_order, max_per_order_pct, sec_fee_rate, taf_per_share, taf_per_contract, taf_max)
+        VALUES ('ibkr-fixed', 0.005, 0.65, 1.00, 1.0, 0.0000278, 0.000166, 0.00244, 8.30)`);
+      await m.run(`INSERT OR IGNORE INTO fee_schedules
+        (name, per_contract, sec_fee_rate, taf_per_share, taf_per_contract, taf_max)
+        VALUES ('zero-commission', 0.65, 0.0000278, 0.000166, 0.00244, 8.30)`);
+
+      await m.addColumn('trades', 'fee_schedule_id', 'INTEGER REFERENCES fee_schedules(id)');
+      await m.addColumn('trades', 'fees', 'REAL DEFAULT 0');
+      await m.run('UPDATE trades SET fees = (SELECT COALESCE(SUM(fees), 0) FROM executions WHERE executions.trade_id = trades.id)');
+    }
+  },
+  {
+    version: 5,
+    name: 'option_legs',
+    foreignKeys: false,
+    up: async (m) => {
+      // Widen the instrument CHECK for multi-leg spreads and track credit vs debit
+      await m.rebuildTable('trades', `CREATE TABLE trades_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        ticker TEXT NOT NULL,
+        direction TEXT CHECK(direction IN ('long', 'short')) NOT NULL,
+        instrument TEXT CHECK(instrument IN ('shares', 'calls', 'puts', '0dte-calls', '0dte-puts', 'csp', 'spread')) NOT NULL,
+        entry_price REAL NOT NULL,
+        entry_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+        exit_price REAL,
+        exit_time DATETIME,
+        size INTEGER NOT NULL,
+        cost_basis REAL NOT NULL,
+        proceeds REAL,
+        pnl REAL,
+        pnl_pct REAL,
+        setup_type TEXT CHECK(setup_type IN ('breakout', 'fade', 'momentum', 'reversal', 'csp', 'squeeze', 'other')) DEFAULT 'other',
+        narrative_id INTEGER,
+        watchlist_id INTEGER,
+        planned_risk REAL,
+        planned_target REAL,
+        actual_rr REAL,
+        notes TEXT,
+        lessons TEXT,
+        status TEXT CHECK(status IN ('open', 'closed', 'partial')) DEFAULT 'open',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        is_paper INTEGER DEFAULT 0,
+        fee_schedule_id INTEGER REFERENCES fee_schedules(id),
+        fees REAL DEFAULT 0,
+        is_credit INTEGER DEFAULT 0,
+        FOREIGN KEY (narrative_id) REFERENCES narratives(id),
+        FOREIGN KEY (watchlist_id) REFERENCES watchlist(id)
+      )`);
+
+      await m.run('CREATE INDEX IF NOT EXISTS idx_trades_status ON trades(status)');
+      await m.run('CREATE INDEX IF NOT EXISTS idx_trades_ticker ON trades(ticker)');
+      await m.run('CREATE INDEX IF NOT EXISTS idx_trades_entry_time ON trades(entry_time)');
+      await m.run('CREATE INDEX IF NOT EXISTS idx_trades_is_paper ON trades(is_paper)');
+
+      // quantity is signed per unit of trade size: +1 bought, -1 sold
+      await m.run(`CREATE TABLE IF NOT EXISTS option_legs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trade_id INTEGER NOT NULL,
+        occ_symbol TEXT NOT NULL,
+        underlying TEXT NOT NULL,
+        expiry DATE NOT NULL,
+        option_right TEXT CHECK(option_right IN ('call', 'put')) NOT NULL,
+        strike REAL NOT NULL,
+        quantity INTEGER NOT NULL CHECK(quantity != 0),
+        entry_price REAL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (trade_id) REFERENCES trades(id) ON DELETE CASCADE
+      )`);
+      await m.run('CREATE INDEX IF NOT EXISTS idx_option_legs_trade_id ON option_legs(trade_id)');
+    }
+  },
+  {
+    version: 6,
+    name: 'accounts_cash_ledger',
+    up: async (m) => {
+      await m.run(`CREATE TABLE IF NOT EXISTS accounts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        type TEXT CHECK(type IN ('margin', 'cash', 'ira', 'prop-eval')) DEFAULT 'margin',
+        broker TEXT,
+        fee_schedule_id INTEGER REFERENCES fee_schedules(id),
+        is_default INTEGER DEFAULT 0,
+        status TEXT CHECK(status IN ('active', 'closed')) DEFAULT 'active',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      // amount is signed: deposits and gains positive, withdrawals and losses negative
+      await m.run(`CREATE TABLE IF NOT EXISTS cash_ledger (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        account_id INTEGER NOT NULL,
+        type TEXT CHECK(type IN ('deposit', 'withdrawal', 'realized_pnl', 'adjustment')) NOT NULL,
+        amount REAL NOT NULL,
+        trade_id INTEGER,
+        execution_id INTEGER UNIQUE,
+        note TEXT,
+        entry_time DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (account_id) REFERENCES accounts(id),
+        FOREIGN KEY (trade_id) REFERENCES trades(id) ON DELETE CASCADE,
+        FOREIGN KEY (execution_id) REFERENCES executions(id) ON DELETE CASCADE
+      )`);
+      await m.run('CREATE INDEX IF NOT EXISTS idx_cash_ledger_account_id ON cash_ledger(account_id)');
+
+      await m.addColumn('trades', 'account_id', 'INTEGER REFERENCES accounts(id)');
+      await m.run('CREATE INDEX IF NOT EXISTS idx_trades_account_id ON trades(account_id)');
+
+      // Existing real trades move into a default account, with their
+      // realized P&L posted to its ledger. Paper trades stay unassigned.
+      await m.run(`INSERT OR IGNORE INTO accounts (name, type, fee_schedule_id, is_default)
+        VALUES ('main', 'margin', (SELECT id FROM fee_schedules WHERE is_default = 1), 1)`);
+      await m.run(`UPDATE trades SET account_id = (SELECT id FROM accounts WHERE name = 'main')
+        WHERE account_id IS NULL AND (is_paper = 0 OR is_paper IS NULL)`);
+      await m.run(`INSERT INTO cash_ledger (account_id, type, amount, trade_id, execution_id, entry_time)
+        SELECT t.account_id, 'realized_pnl', e.pnl, t.id, e.id, e.executed_at
+        FROM executions e JOIN trades t ON t.id = e.trade_id
+        WHERE e.side = 'exit' AND e.pnl IS NOT NULL AND t.account_id IS NOT NULL`);
+    }
+  },
+  {
+    version: 7,
+    name: 'executions_broker_exec_id',
+    up: async (m) => {
+      await m.addColumn('executions', 'broker_exec_id', 'TEXT');
+      // NULLs don't collide, so hand-entered fills are unaffected
+      await m.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_executions_broker_exec_id ON executions(broker_exec_id)');
+    }
+  },
+  {
+    version: 8,
+    name: 'tags',
+    up: async (m) => {
+      await m.run(`CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      // One link table per taggable entity so each keeps a real foreign key
+      const links = [['trade_tags', 'trade_id', 'trades'], ['narrative_tags', 'narrative_id', 'narratives'], ['watchlist_tags', 'watchlist_id', 'watchlist']];
+      for (const [table, column, parent] of links) {
+        await m.run(`CREATE TABLE IF NOT EXISTS ${table} (
+          ${column} INTEGER NOT NULL,
+          tag_id INTEGER NOT NULL,
+          PRIMARY KEY (${column}, tag_id),
+          FOREIGN KEY (${column}) REFERENCES ${parent}(id) ON DELETE CASCADE,
+          FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+        )`);
+        await m.run(`CREATE INDEX IF NOT EXISTS idx_${table}_tag_id ON ${table}(tag_id)`);
+      }
+    }
+  },
+  {
+    version: 9,
+    name: 'attachments',
+    up: async (m) => {
+      // Each attachment belongs to exactly one trade or one journal day
+      await m.run(`CREATE TABLE IF NOT EXISTS attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trade_id INTEGER,
+        journal_id INTEGER,
+        sha256 TEXT NOT NULL,
+        file_name TEXT NOT NULL,
+        original_name TEXT,
+        mime_type TEXT,
+        size_bytes INTEGER,
+        width INTEGER,
+        height INTEGER,
+        caption TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((trade_id IS NULL) != (journal_id IS NULL)),
+        FOREIGN KEY (trade_id) REFERENCES trades(id) ON DELETE CASCADE,
+        FOREIGN KEY (journal_id) REFERENCES journal(id) ON DELETE CASCADE
+      )`);
+      await m.run('CREATE INDEX IF NOT EXISTS idx_attachments_trade_id ON attachments(trade_id)');
+      await m.run('CREATE INDEX IF NOT EXISTS idx_attachments_journal_id ON attachments(journal_id)');
+    }
+  },
+  {
+    version: 10,
+    name: 'search_index',
+    up: async (m) => {
+      // One row per (entity, field) so hits can say where they matched
+      await m.run(`CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+        entity UNINDEXED,
+        entity_id UNINDEXED,
+        field UNINDEXED,
+        ticker UNINDEXED,
+        date UNINDEXED,
+        body,
+        tokenize = 'porter unicode61'
+      )`);
+
+      for (const table of Object.keys(SEARCH_SOURCES)) {
+        await createSearchTriggers(m, table);
+        await m.run(`INSERT INTO search_index (entity, entity_id, field, ticker, date, body) ${searchRowsSql(table, table)}`);
+      }
+    }
+  },
+  {
+    version: 11,
+    name: 'audit_log_soft_delete',
+    up: async (m) => {
+      for (const table of ['trades', 'narratives', 'watchlist', 'journal']) {
+        await m.addColumn(table, 'deleted_at', 'DATETIME');
+      }
+
+      // before/after hold JSON of just the columns that changed. batch_id
+      // groups everything one command did, so undo reverts it as a unit.
+      await m.run(`CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        batch_id TEXT NOT NULL,
+        entity TEXT CHECK(entity IN ('trade', 'narrative', 'watchlist', 'journal', 'execution')) NOT NULL,
+        entity_id INTEGER NOT NULL,
+        action TEXT CHECK(action IN ('create', 'update', 'delete')) NOT NULL,
+        before TEXT,
+        after TEXT,
+        undone_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+      await m.run('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity, entity_id)');
+      await m.run('CREATE INDEX IF NOT EXISTS idx_audit_log_batch_id ON audit_log(batch_id)');
+
+      // Search triggers pick up the new deleted_at filter
+      for (const table of Object.keys(SEARCH_SOURCES)) {
+        for (const suffix of ['insert', 'update', 'delete']) {
+          await m.run(`DROP TRIGGER IF EXISTS ${table}_search_${suffix}`);
+        }
+        await createSearchTriggers(m, table);
+      }
+    }
+  },
+  {
+    version: 12,
+    name: 'narrative_resolution_reason',
+    up: async (m) => {
+      // Why a narrative left 'active'; automatic checks also log it on the
+      // audit entry for the status change
+      await m.addColumn('narratives', 'resolution_reason', 'TEXT');
+      await m.addColumn('audit_log', 'reason', 'TEXT');
+    }
+  },
+  {
+    version: 13,
+    name: 'alerts',
+    up: async (m) => {
+      // One row per level that has fired; the unique key is what keeps a
+      // level from firing twice
+      await m.run(`CREATE TABLE IF NOT EXISTS alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source TEXT CHECK(source IN ('watchlist', 'narrative')) NOT NULL,
+        source_id INTEGER NOT NULL,
+        kind TEXT CHECK(kind IN ('level', 'invalidation')) NOT NULL,
+        ticker TEXT NOT NULL,
+        level REAL NOT NULL,
+        direction TEXT CHECK(direction IN ('up', 'down')) NOT NULL,
+        price REAL NOT NULL,
+        message TEXT NOT NULL,
+        fired_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(source, source_id, kind, level)
+      )`);
+
+      // Last price seen per ticker, so a crossing is caught across runs
+      await m.run(`CREATE TABLE IF NOT EXISTS alert_prices (
+        ticker TEXT PRIMARY KEY,
+        price REAL NOT NULL,
+        seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+    }
+  },
+  {
+    version: 14,
+    name: 'risk_policy',
+    up: async (m) => {
+      // A rule with no row is off
+      await m.run(`CREATE TABLE IF NOT EXISTS risk_rules (
+        rule TEXT PRIMARY KEY CHECK(rule IN ('daily-loss', 'trade-loss', 'position-pct', 'open-positions', 'trades-per-day')),
+        value REAL NOT NULL,
+        mode TEXT CHECK(mode IN ('warn', 'block')) NOT NULL DEFAULT 'warn',
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      // Rules a trade broke when it was opened, and why it went ahead anyway
+      await m.addColumn('trades', 'risk_breaches', 'TEXT');
+      await m.addColumn('trades', 'risk_override', 'TEXT');
+    }
+  },
+  {
+    version: 15,
+    name: 'stop_target_prices',
+    up: async (m) => {
+      // Prices, per share/contract like entry_price. stop_price moves over
+      // time (history is in the audit log); initial_stop is where it started
+      // and fixes initial_risk, the dollar loss at that stop.
+      await m.addColumn('trades', 'stop_price', 'REAL');
+      await m.addColumn('trades', 'initial_stop', 'REAL');
+      await m.addColumn('trades', 'target_price', 'REAL');
+      await m.addColumn('trades', 'initial_risk', 'REAL');
+    }
+  },
+  {
+    version: 16,
+    name: 'trade_excursions',
+    up: async (m) => {
+      // Positive dollars over the full size, and the prices they came from
+      await m.addColumn('trades', 'mae', 'REAL');
+      await m.addColumn('trades', 'mfe', 'REAL');
+      await m.addColumn('trades', 'mae_price', 'REAL');
+      await m.addColumn('trades', 'mfe_price', 'REAL');
+    }
+  }
+];
+
+class HorseyMigrator {
+  constructor(sqliteDb, migrations = MIGRATIONS) {
+    this.db = sqliteDb;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+  }
+
+  // Raw helpers - these bypass HorseyDB.run() which waits for migrations
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  async hasColumn(table, column) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    return columns.some(c => c.name === column);
+  }
+
+  // ALTER TABLE ADD COLUMN has no IF NOT EXISTS in SQLite
+  async addColumn(table, column, definition) {
+    if (await this.hasColumn(table, column)) return false;
+    await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  }
+
+  // Recreate `table` from `createSql` (which must create `<table>_new`),
+  // copying every column the two versions share. Indexes are dropped with
+  // the old table, so callers recreate them afterwards.
+  async rebuildTable(table, createSql) {
+    await this.run(createSql);
+    const oldColumns = (await this.all(`PRAGMA table_info(${table})`)).map(c => c.name);
+    const newColumns = new Set((await this.all(`PRAGMA table_info(${table}_new)`)).map(c => c.name));
+    const shared = oldColumns.filter(c => newColumns.has(c)).join(', ');
+
+    await this.run(`INSERT INTO ${table}_new (${shared}) SELECT ${shared} FROM ${table}`);
+    await this.run(`DROP TABLE ${table}`);
+    await this.run(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+  }
+
+  async ensureVersionTable() {
+    await this.run(`CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+
+  async getApplied() {
+    await this.ensureVersionTable();
+    return await this.all('SELECT version, name, applied_at FROM schema_version ORDER BY version');
+  }
+
+  async getCurrentVersion() {
+    const applied = await this.getApplied();
+    return applied.length > 0 ? applied[applied.length - 1].version : 0;
+  }
+
+  getLatestVersion() {
+    return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+  }
+
+  // Apply every pending migration in order, returning the ones that ran
+  async migrate() {
+    const current = await this.getCurrentVersion();
+    const pending = this.migrations.filter(m => m.version > current);
+    const applied = [];
+
+    for (const migration of pending) {
+      // Table rebuilds must run with foreign keys off, or DROP TABLE cascades.
+      // The pragma is a no-op inside a transaction, so toggle it around one.
+      if (migration.foreignKeys === false) {
+        await this.run('PRAGMA foreign_keys = OFF');
+      }
+
+      await this.run('BEGIN');
+      try {
+        await migration.up(this);
+        if (migration.foreignKeys === false) {
+          const violations = await this.all('PRAGMA foreign_key_check');
+          if (violations.length > 0) {
+            throw new Error(`${violations.length} foreign key violation(s) in ${violations[0].table}`);
+          }
+        }
+        await this.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        await this.run('COMMIT');
+      } catch (error) {
+        await this.run('ROLLBACK');
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+      } finally {
+        if (migration.foreignKeys === false) {
+          await this.run('PRAGMA foreign_keys = ON');
+        }
+      }
+      applied.push({ version: migration.version, name: migration.name });
+    }
+
+    return applied;
+  }
+
+  async getStatus() {
+    const applied = await this.getApplied();
+    const appliedByVersion = new Map(applied.map(a => [a.version, a]));
+
+    return {
+      currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latestVersion: this.getLatestVersion(),
+      migrations: this.migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        appliedAt: appliedByVersion.has(m.version) ? appliedByVersion.get(m.version).applied_at : null
+      }))
+    };
+  }
+}
+
+module.exports = HorseyMigrator;
+module.exports.MIGRATIONS = MIGRATIONS;
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+const calendar = require('./calendar');
+
+// Narrative lifecycle. An active narrative is walked bar by bar from when it
+// was written: a close through the invalidation level against the thesis
+// invalidates it, a close through a key level in the thesis direction
+// triggers it, and intraday/swing narratives that do neither expire when
+// their window closes. Closes, not wicks, decide - a stop run that snaps
+// back hasn't broken anything. Whichever happens first wins; when both
+// happen on the same bar, invalidation does.
+
+// Trading days a swing narrative stays live, counting the day it was written
+const SWING_DAYS = 5;
+
+function formatLevel(value) {
+  return `$${Number(value).toFixed(2)}`;
+}
+
+function formatBarTime(stamp) {
+  const date = calendar.marketDate(stamp);
+  const time = new Intl.DateTimeFormat('en-US', {
+    timeZone: calendar.MARKET_TZ, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).format(new Date(stamp.replace(' ', 'T') + 'Z'));
+  return `${date} ${time} ET`;
+}
+
+// When a narrative stops being live: the regular close of the session it
+// was written for (intraday) or SWING_DAYS sessions later (swing).
+// Multi-day narratives don't expire on their own.
+function getExpiry(narrative) {
+  if (narrative.timeframe === 'multi-day') return null;
+
+  // Written outside a session -> it's about the next one
+  let date = calendar.marketDate(narrative.created_at);
+  const sessions = calendar.getSessions(date);
+  if (!sessions || narrative.created_at >= sessions.regular.end) {
+    date = calendar.nextTradingDay(date);
+  }
+
+  const days = narrative.timeframe === 'swing' ? SWING_DAYS : 1;
+  for (let i = 1; i < days; i++) {
+    date = calendar.nextTradingDay(date);
+  }
+  return calendar.getSessions(date).regular.end;
+}
+
+// Decide what happened to one narrative. `bars` start at or after the
+// narrative was written. Returns { status, reason, at } for a transition, or
+// null while it is still live.
+function evaluate(narrative, bars, now = calendar.toTimestamp(new Date())) {
+  const expiry = getExpiry(narrative);
+  const live = bars.filter(bar => bar.time >= narrative.created_at && (!expiry || bar.time <= expiry) && bar.time <= now);
+  const levels = narrative.key_levels || [];
+  const invalidation = narrative.invalidation;
+
+  if (live.length > 0) {
+    // Which side of each level price started on
+    const reference = live[0].open;
+    const bull = narrative.direction === 'bull';
+    const bear = narrative.direction === 'bear';
+    const targets = levels.filter(level => (bull ? level > reference : bear ? level < reference : level !== reference));
+
+    for (const bar of live) {
+      if (invalidation !== null && invalidation !== undefined && (bull || bear)) {
+        const broken = bull ? bar.close < invalidation : bar.close > invalidation;
+        if (broken) {
+          return {
+            status: 'invalidated',
+            at: bar.time,
+            reason: `Closed ${formatLevel(bar.close)} ${bull ? 'below' : 'above'} invalidation ${formatLevel(invalidation)} at ${formatBarTime(bar.time)}`
+          };
+        }
+      }
+
+      const level = targets.find(l => (l > reference ? bar.close > l : bar.close < l));
+      if (level !== undefined) {
+        return {
+          status: 'triggered',
+          at: bar.time,
+          reason: `Closed ${formatLevel(bar.close)} ${level > reference ? 'above' : 'below'} key level ${formatLevel(level)} at ${formatBarTime(bar.time)}`
+        };
+      }
+    }
+  }
+
+  if (expiry && now >= expiry) {
+    const window = narrative.timeframe === 'swing' ? `${SWING_DAYS}-session swing window` : 'Intraday session';
+    return {
+      status: 'expired',
+      at: expiry,
+      reason: `${window} ended ${formatBarTime(expiry)} without trigger or invalidation`
+    };
+  }
+
+  return null;
+}
+
+class HorseyNarratives {
+  constructor(db, bars) {
+    this.db = db;
+    this.bars = bars;
+  }
+
+  // Evaluate every active narrative (optionally one ticker) and apply the
+  // transitions unless `dryRun`. All changes from one check share an undo
+  // batch. Returns one result per narrative checked.
+  async check(options = {}) {
+    const { ticker = null, dryRun = false } = options;
+    const now = options.now || calendar.toTimestamp(new Date());
+    const narratives = await this.db.getNarratives({ active: true, ticker });
+    const results = [];
+
+    for (const narrative of narratives) {
+      const bars = await this.bars.getBars(narrative.ticker, { from: narrative.created_at, to: now });
+      const transition = evaluate(narrative, bars, now);
+
+      if (transition && !dryRun) {
+        await this.db.updateNarrativeStatus(narrative.id, transition.status, transition.reason, transition.at);
+      }
+      results.push({ narrative, bars: bars.length, transition });
+    }
+
+    return results;
+  }
+}
+
+module.exports = HorseyNarratives;
+module.exports.SWING_DAYS = SWING_DAYS;
+module.exports.evaluate = evaluate;
+module.exports.getExpiry = getExpiry;
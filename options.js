@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+// Option contracts and multi-leg positions.
+//
+// OCC symbols are ROOT + YYMMDD + C/P + strike * 1000 (8 digits), e.g.
+// SPY241018C00580000 = SPY 2024-10-18 580 call. The official 21-char form
+// pads the root to 6 with spaces; both forms are accepted.
+
+const OCC_PATTERN = /^([A-Z0-9.]{1,6})\s*(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/;
+
+function parseOccSymbol(symbol) {
+  const match = OCC_PATTERN.exec(String(symbol).trim().toUpperCase());
+  if (!match) return null;
+
+  const [, root, yy, mm, dd, right, strike] = match;
+  return {
+    occ_symbol: `${root}${yy}${mm}${dd}${right}${strike}`,
+    underlying: root,
+    expiry: `20${yy}-${mm}-${dd}`,
+    option_right: right === 'C' ? 'call' : 'put',
+    strike: parseInt(strike, 10) / 1000
+  };
+}
+
+function formatOccSymbol(underlying, expiry, right, strike) {
+  const [yyyy, mm, dd] = expiry.split('-');
+  const strikeDigits = String(Math.round(strike * 1000)).padStart(8, '0');
+  return `${underlying.toUpperCase()}${yyyy.slice(2)}${mm}${dd}${right === 'call' ? 'C' : 'P'}${strikeDigits}`;
+}
+
+// "+1 SPY241018C00580000, -1 SPY241018C00585000@0.45"
+// Quantity defaults to +1; a bare sign means one contract.
+function parseLegs(legString) {
+  if (!legString) return [];
+
+  return legString.split(',').map(part => {
+    const match = /^([+-]?\d*)\s*([A-Za-z0-9. ]+?)(?:@([\d.]+))?$/.exec(part.trim());
+    const contract = match ? parseOccSymbol(match[2]) : null;
+    if (!contract) {
+      throw new Error(`Invalid option leg "${part.trim()}" (expected [+/-qty] OCC symbol, e.g. -1 SPY241018C00585000)`);
+    }
+
+    const qty = match[1] === '' || match[1] === '+' ? 1 : match[1] === '-' ? -1 : parseInt(match[1], 10);
+    if (qty === 0) {
+      throw new Error(`Option leg "${part.trim()}" has zero quantity`);
+    }
+
+    return {
+      ...contract,
+      quantity: qty,
+      entry_price: match[3] ? parseFloat(match[3]) : null
+    };
+  });
+}
+
+// Contracts traded per unit of trade size, across all legs
+function getContractsPerUnit(legs) {
+  if (!legs || legs.length === 0) return 1;
+  return legs.reduce((sum, leg) => sum + Math.abs(leg.quantity), 0);
+}
+
+function classifyStrategy(legs) {
+  if (!legs || legs.length === 0) return null;
+
+  const calls = legs.filter(l => l.option_right === 'call');
+  const puts = legs.filter(l => l.option_right === 'put');
+  const expiries = new Set(legs.map(l => l.expiry));
+
+  if (legs.length === 1) {
+    return `${legs[0].quantity > 0 ? 'long' : 'short'} ${legs[0].option_right}`;
+  }
+
+  if (legs.length === 2) {
+    const [a, b] = legs;
+    if (a.option_right === b.option_right && Math.sign(a.quantity) !== Math.sign(b.quantity)) {
+      if (expiries.size > 1) return a.strike === b.strike ? 'calendar' : 'diagonal';
+      return `${a.option_right} vertical`;
+    }
+    if (calls.length === 1 && puts.length === 1 && Math.sign(a.quantity) === Math.sign(b.quantity)) {
+      const kind = a.strike === b.strike ? 'straddle' : 'strangle';
+      return `${a.quantity > 0 ? 'long' : 'short'} ${kind}`;
+    }
+  }
+
+  if (legs.length === 3 && (calls.length === 3 || puts.length === 3)) {
+    const sorted = [...legs].sort((x, y) => x.strike - y.strike);
+    if (sorted[1].quantity === -2 * sorted[0].quantity && sorted[0].quantity === sorted[2].quantity) {
+      return `${sorted[0].option_right} butterfly`;
+    }
+  }
+
+  if (legs.length === 4 && calls.length === 2 && puts.length === 2) {
+    const shortCall = calls.find(l => l.quantity < 0);
+    const shortPut = puts.find(l => l.quantity < 0);
+    if (shortCall && shortPut) {
+      return shortCall.strike === shortPut.strike ? 'iron butterfly' : 'iron condor';
+    }
+  }
+
+  return 'custom';
+}
+
+function formatExpiry(expiry) {
+  const [, mm, dd] = expiry.split('-');
+  return `${parseInt(mm, 10)}/${parseInt(dd, 10)}`;
+}
+
+// Short human label, e.g. "call vertical 580C/585C 10/18"
+function describeLegs(legs) {
+  if (!legs || legs.length === 0) return '';
+
+  const strategy = classifyStrategy(legs);
+  const strikes = [...legs]
+    .sort((a, b) => a.strike - b.strike)
+    .map(l => `${l.strike}${l.option_right === 'call' ? 'C' : 'P'}`)
+    .join('/');
+  const expiries = [...new Set(legs.map(l => l.expiry))].sort().map(formatExpiry).join(',');
+
+  return `${strategy} ${strikes} ${expiries}`;
+}
+
+module.exports = {
+  parseOccSymbol,
+  formatOccSymbol,
+  parseLegs,
+  getContractsPerUnit,
+  classifyStrategy,
+  describeLegs
+};
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+// P&L engine. Every trade row stores prices per share/contract; this module
+// turns them into dollar cost basis, proceeds and P&L with the right sign.
+//
+// `direction` on a trade is the thesis (bull/bear), not always the position
+// side: a `short` trade on `puts` is a bought put. Only shares follow the
+// direction literally, short-premium instruments are always sold to open,
+// and spreads are priced at their net premium, sold when opened for a credit.
+
+const INSTRUMENTS = ['shares', 'calls', 'puts', '0dte-calls', '0dte-puts', 'csp', 'spread'];
+const SHORT_PREMIUM_INSTRUMENTS = ['csp'];
+
+// Options contracts = 100 shares per contract
+function getMultiplier(instrument) {
+  return instrument === 'shares' ? 1 : 100;
+}
+
+// Which side of the market the position actually sits on: 'long' or 'short'
+function getPositionSide(direction, instrument, isCredit = false) {
+  if (instrument === 'shares') return direction;
+  if (instrument === 'spread') return isCredit ? 'short' : 'long';
+  if (SHORT_PREMIUM_INSTRUMENTS.includes(instrument)) return 'short';
+  return 'long';
+}
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// Dollar value of a fill, before fees
+function getNotional(price, size, instrument) {
+  return price * size * getMultiplier(instrument);
+}
+
+// cost_basis is entry notional plus fees paid at entry
+function calculateCostBasis(instrument, entryPrice, size, fees = 0) {
+  return getNotional(entryPrice, size, instrument) + fees;
+}
+
+// Roll a trade's fills up into the columns stored on the trade row.
+// Uses average cost: adds re-weight the open position's price, each exit
+// realizes P&L against that average and takes its share of entry fees.
+function summarizeExecutions(trade, executions) {
+  const side = getPositionSide(trade.direction, trade.instrument, !!trade.is_credit);
+  const sign = side === 'long' ? 1 : -1;
+  const multiplier = getMultiplier(trade.instrument);
+
+  let openSize = 0;
+  let avgOpenPrice = 0;
+  let openFees = 0;
+  let entered = 0;
+  let entryNotional = 0;
+  let entryFees = 0;
+  let exitFees = 0;
+  let exited = 0;
+  let proceeds = 0;
+  let pnl = 0;
+  let lastExitAt = null;
+  const exits = [];
+
+  executions.forEach(fill => {
+    const fees = fill.fees || 0;
+
+    if (fill.side === 'entry') {
+      avgOpenPrice = (avgOpenPrice * openSize + fill.price * fill.size) / (openSize + fill.size);
+      openSize += fill.size;
+      openFees += fees;
+      entered += fill.size;
+      entryNotional += getNotional(fill.price, fill.size, trade.instrument);
+      entryFees += fees;
+      return;
+    }
+
+    if (fill.size > openSize) {
+      throw new Error(`Exit of ${fill.size} exceeds open size ${openSize} on trade ${trade.id}`);
+    }
+
+    const allocatedFees = openFees * (fill.size / openSize);
+    const gross = (fill.price - avgOpenPrice) * fill.size * multiplier * sign;
+    const realized = gross - allocatedFees - fees;
+
+    openFees -= allocatedFees;
+    exitFees += fees;
+    openSize -= fill.size;
+    exited += fill.size;
+    proceeds += getNotional(fill.price, fill.size, trade.instrument);
+    pnl += realized;
+    lastExitAt = fill.executed_at;
+    exits.push({ id: fill.id, pnl: round(realized, 4) });
+  });
+
+  const costBasis = entryNotional + entryFees;
+  const hasExits = exited > 0;
+  const status = !hasExits ? 'open' : openSize > 0 ? 'partial' : 'closed';
+
+  // Risk at the initial stop when there is one, else the typed-in amount
+  const entryPrice = entered > 0 ? entryNotional / (entered * multiplier) : trade.entry_price;
+  const initialRisk = trade.initial_stop !== null && trade.initial_stop !== undefined && entered > 0
+    ? Math.abs(entryPrice - trade.initial_stop) * entered * multiplier
+    : null;
+  const risk = initialRisk || trade.planned_risk;
+  const actualRR = hasExits && risk ? pnl / risk : null;
+
+  return {
+    side,
+    status,
+    size: entered,
+    openSize,
+    avgOpenPrice: openSize > 0 ? round(avgOpenPrice, 4) : null,
+    openFees: round(openFees, 4),
+    entryPrice: entered > 0 ? round(entryPrice, 4) : trade.entry_price,
+    costBasis: round(costBasis, 4),
+    fees: round(entryFees + exitFees, 4),
+    exitPrice: hasExits ? round(proceeds / (exited * multiplier), 4) : null,
+    exitTime: status === 'closed' ? lastExitAt : null,
+    proceeds: hasExits ? round(proceeds, 4) : null,
+    pnl: hasExits ? round(pnl, 4) : null,
+    pnlPct: hasExits && costBasis ? round((pnl / costBasis) * 100, 4) : null,
+    initialRisk: initialRisk === null ? null : round(initialRisk, 4),
+    actualRR: actualRR === null ? null : round(actualRR, 4),
+    exits
+  };
+}
+
+module.exports = {
+  INSTRUMENTS,
+  SHORT_PREMIUM_INSTRUMENTS,
+  getMultiplier,
+  getPositionSide,
+  getNotional,
+  calculateCostBasis,
+  summarizeExecutions
+};
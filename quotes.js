@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { getMultiplier, summarizeExecutions } = require('./pnl');
+const { parseCsv } = require('./importer');
+const calendar = require('./calendar');
+
+// Quotes and marks for open positions. A provider is anything with
+// `async getQuotes(symbols)` resolving to a Map of symbol ->
+// { symbol, price, previousClose, time }; symbols it can't price are simply
+// left out. Shares are quoted by ticker, options by the OCC symbol of each
+// leg, so only option trades with recorded legs can be marked.
+
+// Live quotes from Yahoo Finance. yahoo-finance2 ships as ESM, so it is
+// loaded on first use rather than at require time.
+class YahooQuoteProvider {
+  constructor() {
+    this.client = null;
+  }
+
+  async load() {
+    if (!this.client) {
+      const { default: YahooFinance } = await import('yahoo-finance2');
+      // Older releases export a ready-made instance, newer ones the class
+      this.client = typeof YahooFinance === 'function' ? new YahooFinance() : YahooFinance;
+      if (typeof this.client.suppressNotices === 'function') {
+        this.client.suppressNotices(['yahooSurvey']);
+      }
+    }
+    return this.client;
+  }
+
+  async getQuotes(symbols) {
+    const quotes = new Map();
+    if (symbols.length === 0) return quotes;
+
+    const client = await this.load();
+    const results = await client.quote(symbols);
+    (Array.isArray(results) ? results : [results]).forEach(q => {
+      if (!q || typeof q.regularMarketPrice !== 'number') return;
+      quotes.set(q.symbol, {
+        symbol: q.symbol,
+        price: q.regularMarketPrice,
+        previousClose: typeof q.regularMarketPreviousClose === 'number' ? q.regularMarketPreviousClose : null,
+        time: q.regularMarketTime ? new Date(q.regularMarketTime) : null
+      });
+    });
+    return quotes;
+  }
+}
+
+// Quotes from a local file, for offline use and fixtures. JSON maps symbols
+// to a price or to { price, previousClose }; CSV needs symbol and price
+// columns, previous_close is optional.
+class FileQuoteProvider {
+  constructor(file) {
+    this.file = file;
+  }
+
+  read() {
+    if (!fs.existsSync(this.file)) {
+      throw new Error(`Quote file not found: ${this.file}`);
+    }
+    const content = fs.readFileSync(this.file, 'utf8');
+    const number = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+    if (path.extname(this.file).toLowerCase() === '.csv') {
+      const [header, ...rows] = parseCsv(content).filter(r => r.some(cell => cell.trim() !== ''));
+      const columns = (header || []).map(h => h.trim().toLowerCase());
+      if (!columns.includes('symbol') || !columns.includes('price')) {
+        throw new Error(`${this.file} needs symbol and price columns`);
+      }
+      return rows.map(cells => {
+        const row = Object.fromEntries(columns.map((c, i) => [c, (cells[i] || '').trim()]));
+        return { symbol: row.symbol, price: number(row.price), previousClose: number(row.previous_close) };
+      });
+    }
+
+    const data = JSON.parse(content);
+    return Object.entries(data).map(([symbol, value]) => (
+      typeof value === 'number'
+        ? { symbol, price: value, previousClose: null }
+        : { symbol, price: number(value.price), previousClose: number(value.previousClose) }
+    ));
+  }
+
+  async getQuotes(symbols) {
+    const wanted = new Set(symbols);
+    const quotes = new Map();
+    this.read().forEach(q => {
+      const symbol = q.symbol.toUpperCase();
+      if (wanted.has(symbol) && q.price !== null && !isNaN(q.price)) {
+        quotes.set(symbol, { symbol, price: q.price, previousClose: q.previousClose, time: null });
+      }
+    });
+    return quotes;
+  }
+}
+
+// A file path selects the file provider; nothing (or "yahoo") means live
+// quotes. HORSEY_QUOTES sets the default.
+function createQuoteProvider(source = process.env.HORSEY_QUOTES) {
+  if (!source || source === 'yahoo') return new YahooQuoteProvider();
+  return new FileQuoteProvider(source);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+class HorseyQuotes {
+  constructor(db, provider = null) {
+    this.db = db;
+    this.provider = provider || createQuoteProvider();
+  }
+
+  // What to quote for a trade: its ticker, or each option leg
+  symbolsFor(trade) {
+    if (trade.instrument === 'shares') return [trade.ticker];
+    return (trade.legs || []).map(l => l.occ_symbol);
+  }
+
+  // Per-unit price of a position from quotes. Spreads are the net of their
+  // legs, positive either way round, like the prices they were entered at.
+  priceFrom(trade, quotes, field) {
+    if (trade.instrument === 'shares') {
+      const quote = quotes.get(trade.ticker);
+      return quote ? quote[field] : null;
+    }
+    if (!trade.legs || trade.legs.length === 0) return null;
+
+    let net = 0;
+    for (const leg of trade.legs) {
+      const quote = quotes.get(leg.occ_symbol);
+      if (!quote || quote[field] === null) return null;
+      net += leg.quantity * quote[field];
+    }
+    return Math.abs(net);
+  }
+
+  // Attach `mark` to each open trade: { price, previousClose, openSize,
+  // unrealized, dayPnL }, or null when the position can't be priced.
+  // Unrealized P&L is net of the entry fees still on the open size, so it
+  // matches what closing at the mark (before exit fees) would realize.
+  async markTrades(trades) {
+    const symbols = [...new Set(trades.flatMap(t => this.symbolsFor(t)))];
+    const quotes = await this.provider.getQuotes(symbols);
+    const range = calendar.dayRange(calendar.today());
+
+    for (const trade of trades) {
+      const executions = await this.db.getExecutions(trade.id);
+      const summary = summarizeExecutions(trade, executions);
+      const price = this.priceFrom(trade, quotes, 'price');
+
+      if (summary.openSize === 0 || price === null) {
+        trade.mark = null;
+        continue;
+      }
+
+      const sign = summary.side === 'long' ? 1 : -1;
+      const multiplier = getMultiplier(trade.instrument);
+      const previousClose = this.priceFrom(trade, quotes, 'previousClose');
+      const unrealized = (price - summary.avgOpenPrice) * summary.openSize * multiplier * sign - summary.openFees;
+
+      // Size added today moves from its fill price; the rest from last close
+      const todays = executions.filter(e => e.side === 'entry' && e.executed_at >= range.start && e.executed_at < range.end);
+      const todaySize = Math.min(summary.openSize, todays.reduce((sum, e) => sum + e.size, 0));
+      const todayAvg = todaySize > 0 ? todays.reduce((sum, e) => sum + e.price * e.size, 0) / todays.reduce((sum, e) => sum + e.size, 0) : 0;
+      const carried = summary.openSize - todaySize;
+      const dayPnL = carried > 0 && previousClose === null
+        ? null
+        : ((carried > 0 ? (price - previousClose) * carried : 0) + (price - todayAvg) * todaySize) * multiplier * sign;
+
+      trade.mark = {
+        price,
+        previousClose,
+        openSize: summary.openSize,
+        unrealized: round(unrealized),
+        dayPnL: dayPnL === null ? null : round(dayPnL)
+      };
+    }
+    return trades;
+  }
+
+  // Open positions marked to market plus today's realized P&L. Day P&L is
+  // realized-today plus the day's move on open positions.
+  async getOpenSummary(filters = {}) {
+    const trades = await this.markTrades(await this.db.getTrades({ ...filters, open: true }));
+    const marked = trades.filter(t => t.mark);
+    const range = calendar.dayRange(calendar.today());
+
+    const ids = (await this.db.getTrades(filters)).map(t => t.id);
+    const realized = ids.length === 0 ? { total: 0 } : await this.db.get(`
+      SELECT COALESCE(SUM(pnl), 0) AS total FROM executions
+      WHERE side = 'exit' AND executed_at >= ? AND executed_at < ? AND trade_id IN (${ids.map(() => '?').join(', ')})
+    `, [range.start, range.end, ...ids]);
+
+    const unrealized = marked.reduce((sum, t) => sum + t.mark.unrealized, 0);
+    const dayMoves = marked.filter(t => t.mark.dayPnL !== null);
+    const dayOpen = dayMoves.reduce((sum, t) => sum + t.mark.dayPnL, 0);
+
+    return {
+      trades,
+      openPositions: trades.length,
+      marked: marked.length,
+      unmarked: trades.length - marked.length,
+      unrealized: round(unrealized),
+      realizedToday: round(realized.total),
+      dayPnL: round(realized.total + dayOpen)
+    };
+  }
+}
+
+module.exports = HorseyQuotes;
+module.exports.YahooQuoteProvider = YahooQuoteProvider;
+module.exports.FileQuoteProvider = FileQuoteProvider;
+module.exports.createQuoteProvider = createQuoteProvider;
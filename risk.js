@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+
+const { getMultiplier, getNotional, getPositionSide } = require('./pnl');
+const calendar = require('./calendar');
+
+// Pre-trade risk policy. Each rule has a limit and a mode: 'warn' lets the
+// trade through with a warning, 'block' refuses it unless the trader
+// overrides with a reason, which is kept on the trade. Rules without a row
+// in risk_rules are off. Usage is counted per account, per New York day,
+// on real (non-paper) trades only.
+
+const RULES = {
+  'daily-loss': { label: 'Max daily loss' },
+  'trade-loss': { label: 'Max loss per trade' },
+  'position-pct': { label: 'Max position notional' },
+  'open-positions': { label: 'Max open positions' },
+  'trades-per-day': { label: 'Max trades per day' }
+};
+
+const MODES = ['warn', 'block'];
+
+function money(value) {
+  return `$${Math.abs(value).toFixed(2)}`;
+}
+
+// Worst case for a new position, when it can be known from the order: the
+// loss at the stop, else planned risk if given, else the premium paid for
+// long options and debit spreads, the width less credit for credit spreads,
+// and strike less premium for cash-secured puts. Shares need a stop or a
+// planned risk. Null when unknown.
+function estimateMaxLoss(trade) {
+  const { instrument, entryPrice, size, legs = [], fees = 0 } = trade;
+  const multiplier = getMultiplier(instrument);
+  if (trade.stop !== undefined && trade.stop !== null) {
+    return Math.abs(entryPrice - trade.stop) * size * multiplier + fees;
+  }
+  if (trade.risk) return trade.risk;
+
+  const side = getPositionSide(trade.direction, instrument, !!trade.credit);
+  const strikes = legs.map(l => l.strike).filter(s => typeof s === 'number');
+
+  if (instrument !== 'shares' && side === 'long') {
+    return getNotional(entryPrice, size, instrument) + fees;
+  }
+  if (instrument === 'spread' && strikes.length >= 2) {
+    const width = Math.max(...strikes) - Math.min(...strikes);
+    return (width - entryPrice) * size * multiplier + fees;
+  }
+  if (instrument === 'csp' && strikes.length === 1) {
+    return (strikes[0] - entryPrice) * size * multiplier + fees;
+  }
+  return null;
+}
+
+// What a sizing direction resolves to per instrument. Options are bought
+// here, so their stop sits below the entry premium; spreads and CSPs carry
+// their risk in strikes and are sized through trade-loss instead.
+const SIZEABLE = {
+  shares: null,
+  calls: 'long',
+  '0dte-calls': 'long',
+  puts: 'short',
+  '0dte-puts': 'short'
+};
+
+// Largest whole size whose loss at the stop fits the budget. Prices are per
+// share or per contract premium, like trade open takes them.
+function sizePosition({ instrument = 'shares', entry, stop, target = null, budget }) {
+  if (!(instrument in SIZEABLE)) {
+    throw new Error(`Can't size ${instrument} from a stop (expected ${Object.keys(SIZEABLE).join(', ')})`);
+  }
+  if (!(entry > 0) || !(stop >= 0) || entry === stop) {
+    throw new Error('Entry and stop must be positive prices that differ');
+  }
+  if (!(budget > 0)) {
+    throw new Error('Risk budget must be greater than zero');
+  }
+
+  const direction = SIZEABLE[instrument] || (stop < entry ? 'long' : 'short');
+  if (instrument !== 'shares' && stop > entry) {
+    throw new Error('Options are sized as bought premium, so the stop must be below entry');
+  }
+  if (target !== null && (stop < entry ? target <= entry : target >= entry)) {
+    throw new Error('Target must be on the other side of entry from the stop');
+  }
+
+  const multiplier = getMultiplier(instrument);
+  const riskPerUnit = Math.abs(entry - stop) * multiplier;
+  const size = Math.floor(budget / riskPerUnit + 1e-9);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    instrument,
+    direction,
+    size,
+    riskPerUnit: round(riskPerUnit),
+    risk: round(riskPerUnit * size),
+    reward: target === null ? null : round(Math.abs(target - entry) * multiplier * size),
+    notional: round(getNotional(entry, size, instrument)),
+    rr: target === null ? null : round(Math.abs(target - entry) / Math.abs(entry - stop))
+  };
+}
+
+class HorseyRisk {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async getRules() {
+    const rows = await this.db.all('SELECT * FROM risk_rules');
+    return Object.fromEntries(rows.map(r => [r.rule, r]));
+  }
+
+  // Set a rule's limit; the mode is kept when not given (new rules warn)
+  async setRule(rule, value, mode = null) {
+    if (!RULES[rule]) {
+      throw new Error(`Unknown risk rule "${rule}" (expected ${Object.keys(RULES).join(', ')})`);
+    }
+    if (mode && !MODES.includes(mode)) {
+      throw new Error(`Mode must be ${MODES.join(' or ')}`);
+    }
+    if (!(value > 0)) {
+      throw new Error('Limit must be greater than zero');
+    }
+
+    await this.db.run(`
+      INSERT INTO risk_rules (rule, value, mode) VALUES (?, ?, ?)
+      ON CONFLICT(rule) DO UPDATE SET value = excluded.value, mode = COALESCE(?, risk_rules.mode), updated_at = CURRENT_TIMESTAMP
+    `, [rule, value, mode || 'warn', mode]);
+    return (await this.getRules())[rule];
+  }
+
+  async clearRule(rule) {
+    if (!RULES[rule]) {
+      throw new Error(`Unknown risk rule "${rule}" (expected ${Object.keys(RULES).join(', ')})`);
+    }
+    return await this.db.run('DELETE FROM risk_rules WHERE rule = ?', [rule]);
+  }
+
+  // What the account has used on `date`: realized P&L, trades opened, and
+  // positions open now
+  async getUsage(accountName = null, date = calendar.today()) {
+    const account = await this.db.getAccount(accountName);
+    const range = calendar.dayRange(date);
+    const live = 't.account_id = ? AND (t.is_paper = 0 OR t.is_paper IS NULL) AND t.deleted_at IS NULL';
+
+    const realized = await this.db.get(`
+      SELECT COALESCE(SUM(e.pnl), 0) AS total FROM executions e JOIN trades t ON t.id = e.trade_id
+      WHERE ${live} AND e.side = 'exit' AND e.executed_at >= ? AND e.executed_at < ?
+    `, [account.id, range.start, range.end]);
+    const opened = await this.db.get(`
+      SELECT COUNT(*) AS count FROM trades t WHERE ${live} AND t.entry_time >= ? AND t.entry_time < ?
+    `, [account.id, range.start, range.end]);
+    const open = await this.db.get(`
+      SELECT COUNT(*) AS count FROM trades t WHERE ${live} AND t.status IN ('open', 'partial')
+    `, [account.id]);
+
+    return {
+      account: account.name,
+      date,
+      realized: Math.round(realized.total * 100) / 100,
+      tradesToday: opened.count,
+      openPositions: open.count,
+      equity: await this.db.getAccountEquity(account.name)
+    };
+  }
+
+  // Check a proposed trade ({ direction, instrument, entryPrice, size, legs,
+  // credit, stop, risk, fees, account, executedAt }) against every active rule.
+  // Returns each rule's verdict plus the breaches split by mode.
+  async check(trade) {
+    const rules = await this.getRules();
+    const date = calendar.marketDate(trade.executedAt || new Date());
+    const usage = await this.getUsage(trade.account, date);
+    const maxLoss = estimateMaxLoss(trade);
+    const notional = getNotional(trade.entryPrice, trade.size, trade.instrument);
+    const results = [];
+
+    const verdict = (rule, breached, message) => {
+      if (!rules[rule]) return;
+      results.push({ rule, mode: rules[rule].mode, limit: rules[rule].value, breached, message });
+    };
+
+    if (rules['daily-loss']) {
+      const limit = rules['daily-loss'].value;
+      const left = limit + Math.min(usage.realized, 0);
+      if (left <= 0) {
+        verdict('daily-loss', true, `Daily loss limit ${money(limit)} already hit (${money(usage.realized)} realized today)`);
+      } else if (maxLoss !== null && maxLoss > left) {
+        verdict('daily-loss', true, `Max loss ${money(maxLoss)} exceeds the ${money(left)} left of today's ${money(limit)} loss budget`);
+      } else {
+        verdict('daily-loss', false, `${money(left)} of ${money(limit)} daily loss budget left`);
+      }
+    }
+
+    if (rules['trade-loss']) {
+      const limit = rules['trade-loss'].value;
+      if (maxLoss === null) {
+        verdict('trade-loss', true, 'Max loss unknown - pass --stop or --risk so it can be checked');
+      } else {
+        verdict('trade-loss', maxLoss > limit, `Max loss ${money(maxLoss)} vs ${money(limit)} limit`);
+      }
+    }
+
+    if (rules['position-pct']) {
+      const limit = rules['position-pct'].value;
+      if (!(usage.equity > 0)) {
+        verdict('position-pct', true, `Account ${usage.account} has no equity to size against`);
+      } else {
+        const pct = (notional / usage.equity) * 100;
+        verdict('position-pct', pct > limit, `Notional ${money(notional)} is ${pct.toFixed(1)}% of ${money(usage.equity)} equity (limit ${limit}%)`);
+      }
+    }
+
+    if (rules['open-positions']) {
+      const limit = rules['open-positions'].value;
+      verdict('open-positions', usage.openPositions + 1 > limit, `${usage.openPositions + 1} open positions with this one (limit ${limit})`);
+    }
+
+    if (rules['trades-per-day']) {
+      const limit = rules['trades-per-day'].value;
+      verdict('trades-per-day', usage.tradesToday + 1 > limit, `Trade ${usage.tradesToday + 1} of the day (limit ${limit})`);
+    }
+
+    const breaches = results.filter(r => r.breached);
+    return {
+      usage,
+      maxLoss,
+      results,
+      breaches,
+      blocked: breaches.filter(r => r.mode === 'block'),
+      warnings: breaches.filter(r => r.mode === 'warn')
+    };
+  }
+
+  // Every rule with today's usage and what's left
+  async getStatus(accountName = null) {
+    const rules = await this.getRules();
+    const usage = await this.getUsage(accountName);
+
+    const rows = Object.entries(RULES).map(([rule, meta]) => {
+      const set = rules[rule];
+      const row = { rule, label: meta.label, limit: set ? set.value : null, mode: set ? set.mode : 'off', used: null, left: null };
+      if (rule === 'daily-loss') {
+        row.used = Math.max(-usage.realized, 0);
+        if (set) row.left = Math.max(set.value - row.used, 0);
+      } else if (rule === 'open-positions') {
+        row.used = usage.openPositions;
+        if (set) row.left = Math.max(set.value - row.used, 0);
+      } else if (rule === 'trades-per-day') {
+        row.used = usage.tradesToday;
+        if (set) row.left = Math.max(set.value - row.used, 0);
+      } else if (rule === 'position-pct' && set) {
+        // The largest position that still fits
+        row.left = usage.equity > 0 ? usage.equity * set.value / 100 : 0;
+      }
+      return row;
+    });
+
+    return { usage, rows };
+  }
+}
+
+module.exports = HorseyRisk;
+module.exports.RULES = RULES;
+module.exports.MODES = MODES;
+module.exports.SIZEABLE = SIZEABLE;
+module.exports.estimateMaxLoss = estimateMaxLoss;
+module.exports.sizePosition = sizePosition;
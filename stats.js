@@ -1,45 +1,104 @@
 #!/usr/bin/env node
 
+const calendar = require('./calendar');
+const { exitEfficiency } = require('./excursions');
+
+// R-multiple histogram buckets: [low, high) in R
+const R_BUCKETS = [
+  { label: '< -2R', min: -Infinity, max: -2 },
+  { label: '-2R to -1R', min: -2, max: -1 },
+  { label: '-1R to 0R', min: -1, max: 0 },
+  { label: '0R to 1R', min: 0, max: 1 },
+  { label: '1R to 2R', min: 1, max: 2 },
+  { label: '2R to 3R', min: 2, max: 3 },
+  { label: '≥ 3R', min: 3, max: Infinity }
+];
+
+// Entry-time bucket sizes in minutes, within the regular session
+const TIME_BUCKETS = [15, 30, 60];
+
+// Holding-period bucket edges in minutes: < 5m, 5m-15m, ... 1d-5d, >= 5d
+const HOLD_BUCKETS = [5, 15, 30, 60, 120, 1440, 7200];
+
+function formatMinutes(minutes) {
+  if (minutes % 1440 === 0) return `${minutes / 1440}d`;
+  if (minutes % 60 === 0) return `${minutes / 60}h`;
+  return `${minutes}m`;
+}
+
+// The session a closed trade's P&L belongs to: its exit date, or the
+// session before when it was closed on a non-trading day
+function closeDay(trade) {
+  const date = calendar.marketDate(trade.exit_time);
+  return calendar.isTradingDay(date) ? date : calendar.previousTradingDay(date);
+}
+
 class HorseyStats {
   constructor(db) {
     this.db = db;
   }
 
-  // Main stats for a given period
-  async getStats(period = 'all', ticker = null) {
-    let dateFilter = '';
+  // Extra WHERE clauses shared by every stats query. Filters: period (see
+  // calendar.parsePeriod) with from/to overriding either end, ticker,
+  // setup, instrument, direction, paper (paper trades instead of real ones),
+  // account and tag. Dates are New York trading days of entry_time.
+  async buildFilter(filters = {}) {
+    let sql = ' AND deleted_at IS NULL';
     const params = [];
 
-    switch (period) {
-      case 'today':
-        dateFilter = 'AND date(entry_time) = date("now")';
-        break;
-      case 'week':
-        dateFilter = 'AND entry_time >= date("now", "-7 days")';
-        break;
-      case 'month':
-        dateFilter = 'AND entry_time >= date("now", "-30 days")';
-        break;
-      case 'all':
-      default:
-        dateFilter = '';
-        break;
+    sql += filters.paper ? ' AND is_paper = 1' : ' AND (is_paper = 0 OR is_paper IS NULL)';
+
+    const range = this.getRange(filters);
+    if (range.from) {
+      sql += ' AND entry_time >= ?';
+      params.push(calendar.dayRange(range.from).start);
     }
+    if (range.to) {
+      sql += ' AND entry_time < ?';
+      params.push(calendar.dayRange(range.to).end);
+    }
+
+    const columns = { ticker: 'ticker', setup: 'setup_type', instrument: 'instrument', direction: 'direction' };
+    Object.entries(columns).forEach(([filter, column]) => {
+      if (filters[filter]) {
+        sql += ` AND ${column} = ?`;
+        params.push(filter === 'ticker' ? filters.ticker.toUpperCase() : filters[filter]);
+      }
+    });
 
-    let tickerFilter = '';
-    if (ticker) {
-      tickerFilter = 'AND ticker = ?';
-      params.push(ticker.toUpperCase());
+    if (filters.account) {
+      const account = await this.db.getAccount(filters.account);
+      sql += ' AND account_id = ?';
+      params.push(account.id);
     }
 
-    // Get all closed trades for the period
-    const tradesQuery = `
-      SELECT * FROM trades 
-      WHERE status = 'closed' AND (is_paper = 0 OR is_paper IS NULL) ${dateFilter} ${tickerFilter}
-      ORDER BY entry_time DESC
-    `;
-    
-    const trades = await this.db.all(tradesQuery, params);
+    const tagged = this.db.buildTagFilter('trade', filters.tag);
+    sql += tagged.sql;
+    params.push(...tagged.params);
+
+    return { sql, params };
+  }
+
+  // Inclusive market dates a filter covers, and a label for it. --from
+  // takes the start of what it names and --to the end, so "--from 2026-07
+  // --to 2026-09" is the whole quarter.
+  getRange(filters = {}) {
+    const period = calendar.parsePeriod(filters.period || 'all');
+    const from = filters.from ? calendar.parsePeriod(filters.from).from : period.from;
+    const to = filters.to ? calendar.parsePeriod(filters.to).to : period.to;
+    const label = filters.from || filters.to ? `${from || 'start'} to ${to || 'now'}` : period.label;
+    return { label, from, to };
+  }
+
+  // Closed trades for a period, newest first
+  async getClosedTrades(period = 'all', ticker = null, filters = {}) {
+    const extra = await this.buildFilter({ ...filters, period, ticker: ticker || filters.ticker });
+    return await this.db.all(`SELECT * FROM trades WHERE status = 'closed' ${extra.sql} ORDER BY entry_time DESC`, extra.params);
+  }
+
+  // Main stats for a given period
+  async getStats(period = 'all', ticker = null, filters = {}) {
+    const trades = await this.getClosedTrades(period, ticker, filters);
 
     if (trades.length === 0) {
       return {
@@ -49,10 +108,14 @@ class HorseyStats {
         avgLoser: 0,
         profitFactor: 0,
         totalPnL: 0,
+        grossPnL: 0,
+        totalFees: 0,
         bestTrade: null,
         worstTrade: null,
         setupAnalysis: {},
-        dayOfWeekAnalysis: {}
+        dayOfWeekAnalysis: {},
+        rMultiples: this.getRMultiples([]),
+        excursions: this.getExcursions([])
       };
     }
 
@@ -61,6 +124,9 @@ class HorseyStats {
     const scratches = trades.filter(t => t.pnl === 0);
 
     const totalPnL = trades.reduce((sum, t) => sum + t.pnl, 0);
+    // pnl is net of fees; add them back for gross
+    const totalFees = trades.reduce((sum, t) => sum + (t.fees || 0), 0);
+    const grossPnL = totalPnL + totalFees;
     const winRate = (winners.length / trades.length) * 100;
     
     const totalWinnings = winners.reduce((sum, t) => sum + t.pnl, 0);
@@ -87,6 +153,8 @@ class HorseyStats {
       avgLoser: Math.round(avgLoser * 100) / 100,
       profitFactor: Math.round(profitFactor * 100) / 100,
       totalPnL: Math.round(totalPnL * 100) / 100,
+      grossPnL: Math.round(grossPnL * 100) / 100,
+      totalFees: Math.round(totalFees * 100) / 100,
       bestTrade: bestTrade ? {
         id: bestTrade.id,
         ticker: bestTrade.ticker,
@@ -100,15 +168,18 @@ class HorseyStats {
         setup: worstTrade.setup_type
       } : null,
       setupAnalysis: await this.getSetupAnalysis(trades),
-      dayOfWeekAnalysis: this.getDayOfWeekAnalysis(trades)
+      dayOfWeekAnalysis: this.getDayOfWeekAnalysis(trades),
+      rMultiples: this.getRMultiples(trades),
+      excursions: this.getExcursions(trades)
     };
   }
 
   // Analyze performance by setup type
-  async getSetupAnalysis(trades = null) {
+  async getSetupAnalysis(trades = null, filters = {}) {
     if (!trades) {
-      const tradesQuery = 'SELECT * FROM trades WHERE status = "closed" AND (is_paper = 0 OR is_paper IS NULL)';
-      trades = await this.db.all(tradesQuery);
+      const extra = await this.buildFilter(filters);
+      const tradesQuery = `SELECT * FROM trades WHERE status = 'closed' ${extra.sql}`;
+      trades = await this.db.all(tradesQuery, extra.params);
     }
 
     const setupStats = {};
@@ -145,6 +216,52 @@ class HorseyStats {
     return setupStats;
   }
 
+  // Analyze performance by tag. A trade counts toward every tag it carries.
+  async getTagAnalysis(trades = null, filters = {}) {
+    if (!trades) {
+      const extra = await this.buildFilter(filters);
+      const tradesQuery = `SELECT * FROM trades WHERE status = 'closed' ${extra.sql}`;
+      trades = await this.db.all(tradesQuery, extra.params);
+    }
+    if (!trades.every(t => Array.isArray(t.tags))) {
+      trades = await this.db.attachTags('trade', trades);
+    }
+
+    const tagStats = {};
+
+    trades.forEach(trade => {
+      const tags = trade.tags.length > 0 ? trade.tags : ['(untagged)'];
+
+      tags.forEach(tag => {
+        if (!tagStats[tag]) {
+          tagStats[tag] = {
+            totalTrades: 0,
+            winners: 0,
+            losers: 0,
+            totalPnL: 0,
+            winRate: 0,
+            avgPnL: 0
+          };
+        }
+
+        tagStats[tag].totalTrades++;
+        tagStats[tag].totalPnL += trade.pnl;
+
+        if (trade.pnl > 0) tagStats[tag].winners++;
+        else if (trade.pnl < 0) tagStats[tag].losers++;
+      });
+    });
+
+    Object.keys(tagStats).forEach(tag => {
+      const stats = tagStats[tag];
+      stats.winRate = Math.round((stats.winners / stats.totalTrades) * 10000) / 100;
+      stats.avgPnL = Math.round((stats.totalPnL / stats.totalTrades) * 100) / 100;
+      stats.totalPnL = Math.round(stats.totalPnL * 100) / 100;
+    });
+
+    return tagStats;
+  }
+
   // Analyze performance by day of week
   getDayOfWeekAnalysis(trades = null) {
     if (!trades) {
@@ -161,8 +278,7 @@ class HorseyStats {
     };
 
     trades.forEach(trade => {
-      const date = new Date(trade.entry_time);
-      const dayName = date.toLocaleDateString('en-US', { weekday: 'long' });
+      const dayName = new Date(`${calendar.marketDate(trade.entry_time)}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
       
       if (dayStats[dayName]) {
         dayStats[dayName].totalTrades++;
@@ -184,15 +300,428 @@ class HorseyStats {
     return dayStats;
   }
 
+  // Totals for one group of closed trades
+  summarizeGroup(trades) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const totalPnL = trades.reduce((sum, t) => sum + t.pnl, 0);
+    const winners = trades.filter(t => t.pnl > 0).length;
+    const rs = trades.filter(t => t.actual_rr !== null && t.actual_rr !== undefined).map(t => t.actual_rr);
+
+    return {
+      totalTrades: trades.length,
+      winners,
+      losers: trades.filter(t => t.pnl < 0).length,
+      totalPnL: round(totalPnL),
+      winRate: trades.length > 0 ? round((winners / trades.length) * 100) : 0,
+      avgPnL: trades.length > 0 ? round(totalPnL / trades.length) : 0,
+      avgR: rs.length > 0 ? round(rs.reduce((sum, r) => sum + r, 0) / rs.length) : null
+    };
+  }
+
+  // Group trades by `keyOf`, in the order of `keys` (every key listed
+  // appears, even empty), then any other keys as first seen
+  groupTrades(trades, keyOf, keys = []) {
+    const groups = new Map(keys.map(k => [k, []]));
+    trades.forEach(t => {
+      const key = keyOf(t);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(t);
+    });
+    return Object.fromEntries([...groups].map(([key, group]) => [key, this.summarizeGroup(group)]));
+  }
+
+  // Entry-time buckets: pre-market, every `minutes` from the 9:30 open, after hours
+  getTimeBuckets(minutes = 30) {
+    const labels = ['Pre-market'];
+    for (let offset = 0; offset < 390; offset += minutes) {
+      const at = 570 + offset;
+      labels.push(`${String(Math.floor(at / 60)).padStart(2, '0')}:${String(at % 60).padStart(2, '0')}`);
+    }
+    return labels.concat(['After hours']);
+  }
+
+  getTimeBucket(trade, minutes = 30) {
+    const session = calendar.getSession(trade.entry_time);
+    if (session === 'pre') return 'Pre-market';
+    if (session === 'after') return 'After hours';
+    if (session === 'closed') return 'Closed';
+
+    const open = calendar.getSessions(calendar.marketDate(trade.entry_time)).regular.start;
+    const elapsed = (Date.parse(`${trade.entry_time.replace(' ', 'T')}Z`) - Date.parse(`${open.replace(' ', 'T')}Z`)) / 60000;
+    return this.getTimeBuckets(minutes)[1 + Math.floor(elapsed / minutes)];
+  }
+
+  getHoldBuckets(edges = HOLD_BUCKETS) {
+    return [`< ${formatMinutes(edges[0])}`]
+      .concat(edges.slice(1).map((edge, i) => `${formatMinutes(edges[i])}-${formatMinutes(edge)}`))
+      .concat([`≥ ${formatMinutes(edges[edges.length - 1])}`]);
+  }
+
+  getHoldBucket(trade, edges = HOLD_BUCKETS) {
+    const held = (Date.parse(`${trade.exit_time.replace(' ', 'T')}Z`) - Date.parse(`${trade.entry_time.replace(' ', 'T')}Z`)) / 60000;
+    const index = edges.findIndex(edge => held < edge);
+    return this.getHoldBuckets(edges)[index === -1 ? edges.length : index];
+  }
+
+  // One row per `rowOf` key, one column per `columns` entry (plus any
+  // other column a trade falls in)
+  getCrossTab(trades, rowOf, colOf, columns) {
+    columns = Object.keys(this.groupTrades(trades, colOf, columns));
+    const rows = {};
+    Object.entries(this.groupTrades(trades, rowOf)).forEach(([row]) => {
+      rows[row] = this.groupTrades(trades.filter(t => rowOf(t) === row), colOf, columns);
+    });
+    return { columns, rows };
+  }
+
+  // When trades were entered and how long they were held, overall and per
+  // instrument, plus instrument and direction on their own. `bucket` is the
+  // entry-time bucket in minutes; `hold` the holding-period edges.
+  async getTimeAnalysis(filters = {}, options = {}) {
+    const { bucket = 30, hold = HOLD_BUCKETS } = options;
+    if (!TIME_BUCKETS.includes(bucket)) {
+      throw new Error(`Bucket must be ${TIME_BUCKETS.join(', ')} minutes`);
+    }
+    if (hold.length === 0 || hold.some((edge, i) => !(edge > 0) || (i > 0 && edge <= hold[i - 1]))) {
+      throw new Error('Holding buckets must be increasing minutes, e.g. 5,20,60');
+    }
+
+    const trades = (await this.getClosedTrades(filters.period || 'all', null, filters)).filter(t => t.exit_time);
+    const timeOf = (t) => this.getTimeBucket(t, bucket);
+    const holdOf = (t) => this.getHoldBucket(t, hold);
+    const timeBuckets = this.getTimeBuckets(bucket);
+    const holdBuckets = this.getHoldBuckets(hold);
+
+    return {
+      totalTrades: trades.length,
+      bucket,
+      timeOfDay: this.groupTrades(trades, timeOf, timeBuckets),
+      holding: this.groupTrades(trades, holdOf, holdBuckets),
+      instrument: this.groupTrades(trades, t => t.instrument),
+      direction: this.groupTrades(trades, t => t.direction),
+      instrumentByTime: this.getCrossTab(trades, t => t.instrument, timeOf, timeBuckets),
+      instrumentByHolding: this.getCrossTab(trades, t => t.instrument, holdOf, holdBuckets)
+    };
+  }
+
+  // R-multiples of closed trades that had a risk (initial stop or planned
+  // risk): average R, expectancy in R and the distribution
+  getRMultiples(trades) {
+    const rs = trades.filter(t => t.actual_rr !== null && t.actual_rr !== undefined).map(t => t.actual_rr);
+    const round = (value) => Math.round(value * 100) / 100;
+    const histogram = R_BUCKETS.map(b => ({ ...b, count: rs.filter(r => r >= b.min && r < b.max).length }));
+
+    if (rs.length === 0) {
+      return { count: 0, withoutRisk: trades.length, averageR: 0, avgWinR: 0, avgLossR: 0, expectancyR: 0, histogram };
+    }
+
+    const wins = rs.filter(r => r > 0);
+    const losses = rs.filter(r => r < 0);
+    const avgWinR = wins.length > 0 ? wins.reduce((sum, r) => sum + r, 0) / wins.length : 0;
+    const avgLossR = losses.length > 0 ? Math.abs(losses.reduce((sum, r) => sum + r, 0)) / losses.length : 0;
+
+    return {
+      count: rs.length,
+      withoutRisk: trades.length - rs.length,
+      averageR: round(rs.reduce((sum, r) => sum + r, 0) / rs.length),
+      avgWinR: round(avgWinR),
+      avgLossR: round(avgLossR),
+      // Win rate x average win less loss rate x average loss, per trade
+      expectancyR: round((wins.length / rs.length) * avgWinR - (losses.length / rs.length) * avgLossR),
+      histogram
+    };
+  }
+
+  // MAE/MFE of closed trades measured by the excursions job: averages, the
+  // heat winners took, exit efficiency, and one scatter point per trade
+  getExcursions(trades) {
+    const measured = trades.filter(t => t.mae !== null && t.mae !== undefined);
+    const round = (value) => Math.round(value * 100) / 100;
+    const average = (values) => (values.length > 0 ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : 0);
+
+    const points = measured.map(t => ({
+      id: t.id,
+      ticker: t.ticker,
+      pnl: t.pnl,
+      mae: t.mae,
+      mfe: t.mfe,
+      maeR: t.initial_risk ? round(t.mae / t.initial_risk) : null,
+      mfeR: t.initial_risk ? round(t.mfe / t.initial_risk) : null,
+      efficiency: exitEfficiency(t)
+    }));
+    const winners = points.filter(p => p.pnl > 0);
+    const losers = points.filter(p => p.pnl < 0);
+    const efficiencies = points.filter(p => p.efficiency !== null).map(p => p.efficiency);
+
+    return {
+      count: points.length,
+      unmeasured: trades.length - points.length,
+      avgMAE: average(points.map(p => p.mae)),
+      avgMFE: average(points.map(p => p.mfe)),
+      avgWinnerMAE: average(winners.map(p => p.mae)),
+      avgLoserMAE: average(losers.map(p => p.mae)),
+      maxWinnerMAE: winners.length > 0 ? Math.max(...winners.map(p => p.mae)) : 0,
+      avgLoserMFE: average(losers.map(p => p.mfe)),
+      exitEfficiency: average(efficiencies),
+      points
+    };
+  }
+
+  // Daily equity curve from closed trades, each realized on the New York
+  // day it closed. Equity is the cash put in (deposits, withdrawals and
+  // adjustments to date) plus cumulative P&L; without any cash recorded the
+  // curve is P&L alone. Drawdown is measured on cumulative P&L, so cash
+  // moving in or out is never a gain or a loss; its percent is of what
+  // equity would be at the P&L peak. Every trading day from the first close
+  // to the last is a point, flat days included, so daily ratios see the
+  // quiet days too.
+  async getEquityCurve(trades, filters = {}) {
+    const closed = trades.filter(t => t.exit_time);
+    if (closed.length === 0) return [];
+
+    const byDay = new Map();
+    closed.forEach(t => {
+      const day = closeDay(t);
+      byDay.set(day, (byDay.get(day) || 0) + t.pnl);
+    });
+
+    // Paper trades have no cash behind them
+    let flowsSql = "SELECT amount, entry_time FROM cash_ledger WHERE type != 'realized_pnl'";
+    const flowsParams = [];
+    if (filters.paper) {
+      flowsSql += ' AND 0';
+    } else if (filters.account) {
+      const account = await this.db.getAccount(filters.account);
+      flowsSql += ' AND account_id = ?';
+      flowsParams.push(account.id);
+    }
+    const flows = (await this.db.all(flowsSql + ' ORDER BY entry_time', flowsParams))
+      .map(f => ({ day: calendar.marketDate(f.entry_time), amount: f.amount }));
+
+    const days = [...byDay.keys()].sort();
+    const last = days[days.length - 1];
+    const points = [];
+    let cumPnL = 0;
+    let peak = 0;
+
+    for (let day = days[0]; day <= last; day = calendar.nextTradingDay(day)) {
+      const capital = flows.filter(f => f.day <= day).reduce((sum, f) => sum + f.amount, 0);
+      const pnl = byDay.get(day) || 0;
+      const start = capital + cumPnL;
+      cumPnL += pnl;
+      const equity = capital + cumPnL;
+      peak = Math.max(peak, cumPnL);
+      const high = capital + peak;
+
+      points.push({
+        date: day,
+        pnl: Math.round(pnl * 100) / 100,
+        cumPnL: Math.round(cumPnL * 100) / 100,
+        equity: Math.round(equity * 100) / 100,
+        // Return on the day's starting equity, when there was any
+        return: start > 0 ? pnl / start : null,
+        drawdown: Math.round((peak - cumPnL) * 100) / 100,
+        drawdownPct: high > 0 ? Math.round(((peak - cumPnL) / high) * 10000) / 100 : null
+      });
+    }
+
+    return points;
+  }
+
+  // Deepest peak-to-trough fall in cumulative P&L: amount, percent of
+  // equity at the peak, trading days from peak until recovered (or until
+  // now, if not yet), and the day it was made back. Losing from the very
+  // first close counts from the flat start, the session before it.
+  getMaxDrawdown(points) {
+    const none = { amount: 0, pct: null, peakDate: null, troughDate: null, recoveryDate: null, duration: 0, recovered: true };
+    if (points.length === 0) return none;
+
+    let peakIndex = -1;
+    let peakPnL = 0;
+    let worst = none;
+    points.forEach((point, i) => {
+      if (point.cumPnL >= peakPnL) {
+        peakIndex = i;
+        peakPnL = point.cumPnL;
+      }
+      const amount = peakPnL - point.cumPnL;
+      if (amount > worst.amount) {
+        worst = { amount, peakIndex, peakPnL, troughIndex: i };
+      }
+    });
+    if (worst.amount === 0) return none;
+
+    const trough = points[worst.troughIndex];
+    const recoveryIndex = points.findIndex((p, i) => i > worst.troughIndex && p.cumPnL >= worst.peakPnL);
+    const endIndex = recoveryIndex === -1 ? points.length - 1 : recoveryIndex;
+
+    return {
+      amount: Math.round(worst.amount * 100) / 100,
+      pct: trough.drawdownPct,
+      peakDate: worst.peakIndex === -1 ? calendar.previousTradingDay(points[0].date) : points[worst.peakIndex].date,
+      troughDate: points[worst.troughIndex].date,
+      recoveryDate: recoveryIndex === -1 ? null : points[recoveryIndex].date,
+      duration: endIndex - worst.peakIndex,
+      recovered: recoveryIndex !== -1
+    };
+  }
+
+  // Realized P&L per session for a month-grid calendar, from the first
+  // month with a close or a journal entry through the current month. Weeks
+  // run Monday to Friday; a week's totals only count its days in the month,
+  // so the weeks add up to the month. `days` holds every session with
+  // closes or a journal entry: { date, pnl, trades, grade }.
+  async getCalendar(filters = {}) {
+    const trades = (await this.getClosedTrades('all', null, filters)).filter(t => t.exit_time);
+    const journals = await this.db.all('SELECT date, grade FROM journal WHERE deleted_at IS NULL');
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const days = {};
+    const dayOf = (date) => (days[date] = days[date] || { date, pnl: 0, trades: [], grade: null });
+    trades.forEach(t => {
+      const day = dayOf(closeDay(t));
+      day.pnl = round(day.pnl + t.pnl);
+      day.trades.push(t);
+    });
+    journals.forEach(j => { dayOf(j.date).grade = j.grade; });
+
+    const dates = Object.keys(days).sort();
+    const months = [];
+    if (dates.length === 0) return { months, days };
+
+    const current = calendar.today().slice(0, 7);
+    for (let month = dates[0].slice(0, 7); month <= current; month = calendar.addDays(`${month}-28`, 7).slice(0, 7)) {
+      const weeks = [];
+      // Back up to the Monday on or before the 1st
+      let monday = calendar.addDays(`${month}-01`, 1 - (calendar.weekday(`${month}-01`) || 7));
+      while (monday.slice(0, 7) <= month) {
+        const week = { days: [], pnl: 0, trades: 0 };
+        for (let i = 0; i < 5; i++) {
+          const date = calendar.addDays(monday, i);
+          const inMonth = date.slice(0, 7) === month;
+          const day = days[date];
+          week.days.push({ date, inMonth, tradingDay: calendar.isTradingDay(date), holiday: calendar.getHoliday(date) });
+          if (inMonth && day) {
+            week.pnl = round(week.pnl + day.pnl);
+            week.trades += day.trades.length;
+          }
+        }
+        if (week.days.some(d => d.inMonth)) weeks.push(week);
+        monday = calendar.addDays(monday, 7);
+      }
+
+      months.push({
+        month,
+        weeks,
+        pnl: round(weeks.reduce((sum, w) => sum + w.pnl, 0)),
+        trades: weeks.reduce((sum, w) => sum + w.trades, 0)
+      });
+    }
+
+    return { months, days };
+  }
+
+  // Equity curve, drawdown and risk-adjusted metrics. Sharpe and Sortino
+  // are annualized over 252 trading days with no risk-free rate, on daily
+  // returns when the curve has capital behind it, else on daily dollar P&L.
+  async getAdvancedStats(period = 'all', ticker = null, filters = {}) {
+    const trades = await this.getClosedTrades(period, ticker, filters);
+    const curve = await this.getEquityCurve(trades, filters);
+    const round = (value, places = 2) => (value === null || !isFinite(value) ? null : Math.round(value * 10 ** places) / 10 ** places);
+
+    const withCapital = curve.length > 0 && curve.every(p => p.return !== null);
+    const daily = curve.map(p => (withCapital ? p.return : p.pnl));
+    const mean = daily.length > 0 ? daily.reduce((sum, r) => sum + r, 0) / daily.length : 0;
+    const deviation = daily.length > 1
+      ? Math.sqrt(daily.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (daily.length - 1))
+      : 0;
+    const downside = daily.length > 0 ? Math.sqrt(daily.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / daily.length) : 0;
+
+    const winners = trades.filter(t => t.pnl > 0);
+    const losers = trades.filter(t => t.pnl < 0);
+    const avgWin = winners.length > 0 ? winners.reduce((sum, t) => sum + t.pnl, 0) / winners.length : 0;
+    const avgLoss = losers.length > 0 ? Math.abs(losers.reduce((sum, t) => sum + t.pnl, 0)) / losers.length : 0;
+    const winRate = trades.length > 0 ? winners.length / trades.length : 0;
+    const payoff = avgLoss > 0 ? avgWin / avgLoss : null;
+
+    // Worst run of back-to-back losing trades, in order of closing
+    let run = { amount: 0, count: 0 };
+    let worstRun = { amount: 0, count: 0 };
+    [...trades].sort((a, b) => (a.exit_time || '').localeCompare(b.exit_time || '')).forEach(t => {
+      run = t.pnl < 0 ? { amount: run.amount + t.pnl, count: run.count + 1 } : { amount: 0, count: 0 };
+      if (run.amount < worstRun.amount) worstRun = run;
+    });
+
+    return {
+      totalTrades: trades.length,
+      days: curve.length,
+      basis: withCapital ? 'returns' : 'dollars',
+      curve,
+      maxDrawdown: this.getMaxDrawdown(curve),
+      sharpe: deviation > 0 ? round((mean / deviation) * Math.sqrt(252)) : null,
+      sortino: downside > 0 ? round((mean / downside) * Math.sqrt(252)) : null,
+      expectancy: round(winRate * avgWin - (losers.length / (trades.length || 1)) * avgLoss),
+      payoffRatio: round(payoff),
+      // Fraction of capital the edge supports: W - (1 - W) / payoff
+      kelly: payoff ? round(winRate - (1 - winRate) / payoff, 4) : null,
+      largestConsecutiveLoss: { amount: round(worstRun.amount), count: worstRun.count }
+    };
+  }
+
+  // The same metrics for two periods side by side, B against A
+  async comparePeriods(periodA, periodB, filters = {}) {
+    const side = async (period) => {
+      const { label } = this.getRange({ period });
+      const stats = await this.getStats(period, null, filters);
+      const advanced = await this.getAdvancedStats(period, null, filters);
+      return { label, stats, advanced };
+    };
+    const a = await side(periodA);
+    const b = await side(periodB);
+
+    // [label, value, unit, sense]; higher is better unless 'lower', and
+    // 'neutral' metrics get no verdict
+    const metrics = ({ stats, advanced }) => [
+      ['Trades', stats.totalTrades, '', 'neutral'],
+      ['Win Rate', stats.winRate, '%'],
+      ['Total P&L', stats.totalPnL, '$'],
+      ['Avg Winner', stats.avgWinner, '$'],
+      ['Avg Loser', stats.avgLoser, '$', 'lower'],
+      ['Profit Factor', stats.profitFactor === Infinity ? null : stats.profitFactor, ''],
+      ['Expectancy', advanced.expectancy, '$'],
+      ['Payoff Ratio', advanced.payoffRatio, ''],
+      ['Avg R', stats.rMultiples.count > 0 ? stats.rMultiples.averageR : null, 'R'],
+      ['Max Drawdown', advanced.maxDrawdown.amount, '$', 'lower'],
+      ['Sharpe', advanced.sharpe, ''],
+      ['Fees', stats.totalFees, '$', 'lower']
+    ];
+
+    // A period without trades has nothing to compare but its count
+    const values = (side) => metrics(side).map(([, value, , sense]) => (side.stats.totalTrades === 0 && sense !== 'neutral' ? null : value));
+    const valuesA = values(a);
+    const valuesB = values(b);
+
+    const rows = metrics(a).map(([label, , unit, sense], i) => {
+      const valueA = valuesA[i];
+      const valueB = valuesB[i];
+      const delta = valueA === null || valueB === null ? null : Math.round((valueB - valueA) * 100) / 100;
+      const better = delta === null || delta === 0 || sense === 'neutral' ? null : (delta > 0) !== (sense === 'lower');
+      return { label, unit, a: valueA, b: valueB, delta, better };
+    });
+
+    return { a: a.label, b: b.label, rows };
+  }
+
   // Get current streaks
-  async getStreaks() {
+  async getStreaks(filters = {}) {
+    const extra = await this.buildFilter(filters);
     const tradesQuery = `
       SELECT pnl FROM trades 
-      WHERE status = 'closed' AND (is_paper = 0 OR is_paper IS NULL)
+      WHERE status = 'closed' ${extra.sql}
       ORDER BY entry_time DESC
     `;
     
-    const trades = await this.db.all(tradesQuery);
+    const trades = await this.db.all(tradesQuery, extra.params);
     
     if (trades.length === 0) {
       return {
@@ -256,32 +785,49 @@ class HorseyStats {
   }
 
   // Get today's performance summary
-  async getTodaysSummary() {
-    const todayStats = await this.getStats('today');
-    const openTrades = await this.db.getTrades({ open: true });
-    
-    // Calculate unrealized P&L for open positions (simplified - would need real-time prices)
+  // `quotes` (a HorseyQuotes) marks open positions to market; without it,
+  // or when quotes can't be fetched, only cost basis is known
+  async getTodaysSummary(filters = {}, quotes = null) {
+    const todayStats = await this.getStats('today', null, filters);
+    const openTrades = await this.db.getTrades({ open: true, account: filters.account, tag: filters.tag });
     const openPositionsValue = openTrades.reduce((sum, trade) => sum + trade.cost_basis, 0);
 
     return {
       ...todayStats,
       openPositions: openTrades.length,
       openPositionsValue: Math.round(openPositionsValue * 100) / 100,
-      todaysClosedTrades: todayStats.totalTrades
+      todaysClosedTrades: todayStats.totalTrades,
+      equity: await this.db.getAccountEquity(filters.account),
+      marks: quotes ? await this.getMarks(quotes, filters) : null
     };
   }
 
+  // Open-position marks for stats output; a quote failure is reported
+  // rather than thrown, since the rest of the stats don't depend on it
+  async getMarks(quotes, filters = {}) {
+    try {
+      const { trades, ...summary } = await quotes.getOpenSummary({ account: filters.account, tag: filters.tag });
+      return summary;
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
   // Format stats for display
   formatStats(stats) {
     const lines = [];
-    lines.push(`📊 PERFORMANCE STATS`);
+    lines.push(`📊 PERFORMANCE STATS${stats.account ? ` - ${stats.account}` : ''}${stats.range && stats.range !== 'all' ? ` (${stats.range})` : ''}`);
     lines.push(`${'═'.repeat(40)}`);
+    if (stats.equity !== undefined) {
+      lines.push(`Account Equity: $${stats.equity}`);
+    }
     lines.push(`Total Trades: ${stats.totalTrades}`);
     lines.push(`Winners: ${stats.winners} | Losers: ${stats.losers} | Scratches: ${stats.scratches}`);
     lines.push(`Win Rate: ${stats.winRate}%`);
     lines.push(`Avg Winner: $${stats.avgWinner} | Avg Loser: $${stats.avgLoser}`);
     lines.push(`Profit Factor: ${stats.profitFactor}`);
     lines.push(`Total P&L: $${stats.totalPnL}`);
+    lines.push(`Gross P&L: $${stats.grossPnL} | Fees: $${stats.totalFees}`);
     
     if (stats.bestTrade) {
       lines.push(`Best Trade: ${stats.bestTrade.ticker} +$${stats.bestTrade.pnl} (${stats.bestTrade.setup})`);
@@ -290,6 +836,21 @@ class HorseyStats {
       lines.push(`Worst Trade: ${stats.worstTrade.ticker} -$${Math.abs(stats.worstTrade.pnl)} (${stats.worstTrade.setup})`);
     }
 
+    if (stats.rMultiples && stats.rMultiples.count > 0) {
+      lines.push(`Avg R: ${stats.rMultiples.averageR}R | Expectancy: ${stats.rMultiples.expectancyR}R (${stats.rMultiples.count} trades with risk)`);
+    }
+
+    if (stats.excursions && stats.excursions.count > 0) {
+      lines.push(`Avg MAE: $${stats.excursions.avgMAE} | Avg MFE: $${stats.excursions.avgMFE} | Exit Efficiency: ${stats.excursions.exitEfficiency}%`);
+    }
+
+    if (stats.marks && stats.marks.error) {
+      lines.push(`Open Positions: quotes unavailable (${stats.marks.error})`);
+    } else if (stats.marks && stats.marks.openPositions > 0) {
+      const unpriced = stats.marks.unmarked > 0 ? ` (${stats.marks.unmarked} unpriced)` : '';
+      lines.push(`Open Positions: ${stats.marks.openPositions}${unpriced} | Unrealized: $${stats.marks.unrealized} | Day P&L: $${stats.marks.dayPnL}`);
+    }
+
     return lines.join('\n');
   }
 
@@ -309,6 +870,141 @@ class HorseyStats {
     return lines.join('\n');
   }
 
+  formatTagAnalysis(tagStats) {
+    const lines = [];
+    lines.push(`🏷️  TAG ANALYSIS`);
+    lines.push(`${'═'.repeat(50)}`);
+
+    Object.entries(tagStats)
+      .sort(([,a], [,b]) => b.totalPnL - a.totalPnL)
+      .forEach(([tag, stats]) => {
+        lines.push(`#${tag}: ${stats.totalTrades} trades, ${stats.winRate}% win rate, $${stats.totalPnL} total, $${stats.avgPnL} avg`);
+      });
+
+    return lines.join('\n');
+  }
+
+  formatRMultiples(r) {
+    const lines = [];
+    lines.push(`📏 R-MULTIPLES`);
+    lines.push(`${'═'.repeat(40)}`);
+    if (r.count === 0) {
+      lines.push('No closed trades with a stop or planned risk yet.');
+      return lines.join('\n');
+    }
+
+    lines.push(`Trades: ${r.count}${r.withoutRisk > 0 ? ` (${r.withoutRisk} without risk left out)` : ''}`);
+    lines.push(`Average R: ${r.averageR}R | Avg Win: ${r.avgWinR}R | Avg Loss: ${r.avgLossR > 0 ? '-' : ''}${r.avgLossR}R`);
+    lines.push(`Expectancy: ${r.expectancyR}R per trade`);
+    lines.push('');
+
+    const widest = Math.max(...r.histogram.map(b => b.count));
+    r.histogram.forEach(b => {
+      const bar = widest > 0 ? '█'.repeat(Math.round((b.count / widest) * 30)) : '';
+      lines.push(`${b.label.padStart(11)} | ${bar} ${b.count}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  formatExcursions(excursions) {
+    const lines = [];
+    lines.push(`🌡️  MAE / MFE`);
+    lines.push(`${'═'.repeat(50)}`);
+    if (excursions.count === 0) {
+      lines.push('No measured trades yet - run "horsey excursions --bars <path>".');
+      return lines.join('\n');
+    }
+
+    lines.push(`Trades: ${excursions.count}${excursions.unmeasured > 0 ? ` (${excursions.unmeasured} unmeasured)` : ''}`);
+    lines.push(`Avg MAE: $${excursions.avgMAE} | Avg MFE: $${excursions.avgMFE}`);
+    lines.push(`Winners: avg heat $${excursions.avgWinnerMAE}, worst $${excursions.maxWinnerMAE}`);
+    lines.push(`Losers: avg heat $${excursions.avgLoserMAE}, avg best $${excursions.avgLoserMFE} before losing`);
+    lines.push(`Exit Efficiency: ${excursions.exitEfficiency}% of the best move kept`);
+
+    return lines.join('\n');
+  }
+
+  formatAdvancedStats(advanced) {
+    const lines = [];
+    const dd = advanced.maxDrawdown;
+    const ratio = (value) => (value === null ? 'n/a' : value);
+    lines.push(`📉 RISK-ADJUSTED`);
+    lines.push(`${'═'.repeat(40)}`);
+    if (advanced.totalTrades === 0) {
+      lines.push('No closed trades yet.');
+      return lines.join('\n');
+    }
+
+    const last = advanced.curve[advanced.curve.length - 1];
+    lines.push(`Equity: $${last.equity} over ${advanced.days} trading days (${advanced.totalTrades} trades)`);
+    if (dd.amount > 0) {
+      lines.push(`Max Drawdown: $${dd.amount}${dd.pct !== null ? ` (${dd.pct}%)` : ''} from ${dd.peakDate} to ${dd.troughDate}`);
+      lines.push(`  ${dd.duration} trading days ${dd.recovered ? `to recover (${dd.recoveryDate})` : 'and not yet recovered'}`);
+    } else {
+      lines.push('Max Drawdown: none');
+    }
+    lines.push(`Sharpe: ${ratio(advanced.sharpe)} | Sortino: ${ratio(advanced.sortino)}${advanced.basis === 'dollars' ? ' (on daily $ P&L - no capital recorded)' : ''}`);
+    lines.push(`Expectancy: $${advanced.expectancy} per trade | Payoff Ratio: ${ratio(advanced.payoffRatio)}`);
+    lines.push(`Kelly Fraction: ${advanced.kelly === null ? 'n/a' : `${(advanced.kelly * 100).toFixed(1)}%`}`);
+    lines.push(`Largest Consecutive Loss: $${Math.abs(advanced.largestConsecutiveLoss.amount)} (${advanced.largestConsecutiveLoss.count} trade${advanced.largestConsecutiveLoss.count !== 1 ? 's' : ''})`);
+
+    return lines.join('\n');
+  }
+
+  formatComparison(comparison) {
+    const lines = [];
+    const show = (value, unit) => {
+      if (value === null) return 'n/a';
+      if (unit === '$') return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+      return `${value}${unit}`;
+    };
+    const width = Math.max(12, comparison.a.length, comparison.b.length) + 2;
+
+    lines.push(`⚖️  ${comparison.a} vs ${comparison.b}`);
+    lines.push(`${'═'.repeat(16 + width * 3)}`);
+    lines.push(`${'Metric'.padEnd(16)}${comparison.a.padStart(width)}${comparison.b.padStart(width)}${'Change'.padStart(width)}`);
+    comparison.rows.forEach(r => {
+      const sign = r.delta > 0 ? '+' : '';
+      const delta = r.delta === null ? '' : `${sign}${show(r.delta, r.unit)}${r.better === null ? '' : r.better ? ' ▲' : ' ▼'}`;
+      lines.push(`${r.label.padEnd(16)}${show(r.a, r.unit).padStart(width)}${show(r.b, r.unit).padStart(width)}${delta.padStart(width)}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  formatTimeAnalysis(analysis) {
+    const lines = [];
+    const money = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+    const section = (title, groups, hideEmpty = false) => {
+      lines.push('');
+      lines.push(title);
+      lines.push(`${'Bucket'.padEnd(14)}${'Trades'.padStart(8)}${'Win %'.padStart(9)}${'P&L'.padStart(12)}${'Avg'.padStart(11)}${'Avg R'.padStart(8)}`);
+      Object.entries(groups)
+        .filter(([, g]) => !hideEmpty || g.totalTrades > 0)
+        .forEach(([label, g]) => {
+          const cells = g.totalTrades === 0
+            ? ['', '', '', '']
+            : [`${g.winRate}%`, money(g.totalPnL), money(g.avgPnL), g.avgR === null ? '' : `${g.avgR}R`];
+          lines.push(`${label.padEnd(14)}${String(g.totalTrades).padStart(8)}${cells[0].padStart(9)}${cells[1].padStart(12)}${cells[2].padStart(11)}${cells[3].padStart(8)}`);
+        });
+    };
+
+    lines.push(`🕐 TIME ANALYSIS (${analysis.totalTrades} closed trades)`);
+    lines.push(`${'═'.repeat(62)}`);
+    if (analysis.totalTrades === 0) {
+      lines.push('No closed trades in range.');
+      return lines.join('\n');
+    }
+
+    section(`By entry time (${analysis.bucket} min)`, analysis.timeOfDay, true);
+    section('By holding period', analysis.holding, true);
+    section('By instrument', analysis.instrument);
+    section('By direction', analysis.direction);
+
+    return lines.join('\n');
+  }
+
   formatStreaks(streaks) {
     const lines = [];
     lines.push(`🔥 STREAKS`);
@@ -321,4 +1017,7 @@ class HorseyStats {
   }
 }
 
-module.exports = HorseyStats;
\ No newline at end of file
+module.exports = HorseyStats;
+module.exports.R_BUCKETS = R_BUCKETS;
+module.exports.TIME_BUCKETS = TIME_BUCKETS;
+module.exports.HOLD_BUCKETS = HOLD_BUCKETS;
\ No newline at end of file
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+const { getMultiplier, getPositionSide } = require('./pnl');
+const { describeLegs } = require('./options');
+const { marketDate } = require('./calendar');
+
+// Tax lot reporting. Every exit fill of a real trade is one disposition,
+// priced with the same average cost the P&L engine uses, so a trade's
+// dispositions always add up to its pnl before wash-sale adjustments.
+//
+// Wash sales: a loss is disallowed when a substantially identical position
+// is opened within 30 days before or after the sale. The disallowed amount
+// moves into the replacement's cost basis (and its holding period tacks on),
+// so it comes back when the replacement is sold. History is processed in
+// full, not just the report year, so December losses washed by January buys
+// are caught.
+
+const WASH_WINDOW_DAYS = 30;
+const LONG_TERM_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CSV_COLUMNS = [
+  'Description of property',
+  'Date acquired',
+  'Date sold or disposed of',
+  'Proceeds',
+  'Cost or other basis',
+  'Code',
+  'Amount of adjustment',
+  'Gain or (loss)',
+  'Term'
+];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toMs(timestamp) {
+  return new Date(String(timestamp).replace(' ', 'T') + 'Z').getTime();
+}
+
+function formatFormDate(date) {
+  if (date === 'VARIOUS') return date;
+  const [y, m, d] = date.split('-');
+  return `${m}/${d}/${y}`;
+}
+
+// Positions that count as "substantially identical". Option contracts match
+// on the exact contract when legs were recorded; without legs only the
+// underlying and right are known, so all such calls (or puts) match.
+function securityKey(trade) {
+  const side = getPositionSide(trade.direction, trade.instrument, !!trade.is_credit);
+  if (trade.legs && trade.legs.length > 0) {
+    return `${side} ${trade.legs.map(l => `${l.quantity}${l.occ_symbol}`).sort().join(' ')}`;
+  }
+  if (trade.instrument === 'shares') return `${side} ${trade.ticker}`;
+  return `${side} ${trade.ticker} ${trade.instrument.replace('0dte-', '')}`;
+}
+
+function describeProperty(trade, size) {
+  if (trade.instrument === 'shares') return `${size} sh ${trade.ticker}`;
+  if (trade.legs && trade.legs.length > 0) return `${size}x ${trade.ticker} ${describeLegs(trade.legs)}`;
+  return `${size}x ${trade.ticker} ${trade.instrument}`;
+}
+
+// Walk every fill in time order and produce dispositions with wash-sale
+// adjustments applied. `trades` carry `legs` and `executions`.
+function buildDispositions(trades) {
+  const fills = [];
+  const states = new Map();
+
+  trades.forEach(trade => {
+    states.set(trade.id, {
+      trade,
+      key: securityKey(trade),
+      side: getPositionSide(trade.direction, trade.instrument, !!trade.is_credit),
+      multiplier: getMultiplier(trade.instrument),
+      openSize: 0,
+      avgOpenPrice: 0,
+      openFees: 0,
+      washBasis: 0,     // disallowed losses carried in, not yet released
+      carriedDays: 0,   // holding period tacked on from washed lots
+      entryDates: new Set(),
+      heldSince: null
+    });
+    trade.executions.forEach(fill => fills.push({ ...fill, ms: toMs(fill.executed_at) }));
+  });
+
+  fills.sort((a, b) => a.ms - b.ms || a.id - b.id);
+
+  // Entry fills still available to absorb a wash sale, by security
+  const replacements = new Map();
+  fills.filter(f => f.side === 'entry').forEach(fill => {
+    const key = states.get(fill.trade_id).key;
+    if (!replacements.has(key)) replacements.set(key, []);
+    replacements.get(key).push({ fill, available: fill.size });
+  });
+
+  const pendingWash = new Map();
+  const dispositions = [];
+
+  fills.forEach(fill => {
+    const state = states.get(fill.trade_id);
+    const fees = fill.fees || 0;
+
+    if (fill.side === 'entry') {
+      state.avgOpenPrice = (state.avgOpenPrice * state.openSize + fill.price * fill.size) / (state.openSize + fill.size);
+      state.openSize += fill.size;
+      state.openFees += fees;
+      state.entryDates.add(marketDate(fill.executed_at));
+      if (state.heldSince === null) state.heldSince = fill.ms;
+
+      // Losses washed into this buy before it happened
+      const carried = pendingWash.get(fill.id);
+      if (carried) {
+        state.washBasis += carried.amount;
+        state.carriedDays = Math.max(state.carriedDays, carried.days);
+      }
+      return;
+    }
+
+    const share = fill.size / state.openSize;
+    const allocatedFees = state.openFees * share;
+    const allocatedWash = state.washBasis * share;
+    const openNotional = state.avgOpenPrice * fill.size * state.multiplier;
+    const closeNotional = fill.price * fill.size * state.multiplier;
+
+    // Short sales: the opening sale is the proceeds, the cover is the basis
+    const proceeds = state.side === 'long' ? closeNotional - fees : openNotional - allocatedFees;
+    const basis = (state.side === 'long' ? openNotional + allocatedFees : closeNotional + fees) + allocatedWash;
+    const gain = proceeds - basis;
+
+    const acquired = state.entryDates.size === 1 ? [...state.entryDates][0] : 'VARIOUS';
+    const heldDays = (fill.ms - state.heldSince) / DAY_MS + state.carriedDays;
+    const disposition = {
+      tradeId: state.trade.id,
+      accountId: state.trade.account_id,
+      ticker: state.trade.ticker,
+      description: describeProperty(state.trade, fill.size),
+      acquired: state.side === 'long' ? acquired : marketDate(fill.executed_at),
+      sold: state.side === 'long' ? marketDate(fill.executed_at) : acquired,
+      closedAt: marketDate(fill.executed_at),
+      proceeds: round(proceeds),
+      basis: round(basis),
+      code: '',
+      adjustment: 0,
+      gain: round(gain),
+      // Short sales and written options are always short-term
+      term: state.side === 'long' && heldDays > LONG_TERM_DAYS ? 'long' : 'short',
+      washedInto: []
+    };
+
+    state.openFees -= allocatedFees;
+    state.washBasis -= allocatedWash;
+    state.openSize -= fill.size;
+    if (state.openSize === 0) {
+      state.entryDates.clear();
+      state.heldSince = null;
+      state.carriedDays = 0;
+    }
+
+    if (gain < 0) {
+      applyWashSale(disposition, fill, replacements.get(state.key) || [], states, pendingWash, heldDays);
+    }
+
+    dispositions.push(disposition);
+  });
+
+  return dispositions;
+}
+
+// Match a losing disposition against replacement buys within the window,
+// share for share, and push the disallowed loss into their basis. Buys that
+// haven't happened yet pick it up from `pendingWash` when they fill.
+function applyWashSale(disposition, sale, candidates, states, pendingWash, heldDays) {
+  let unmatched = sale.size;
+  const loss = -disposition.gain;
+
+  for (const candidate of candidates) {
+    if (unmatched === 0) break;
+    if (candidate.available === 0) continue;
+
+    const { fill } = candidate;
+    if (Math.abs(fill.ms - sale.ms) > WASH_WINDOW_DAYS * DAY_MS) continue;
+
+    // The lot being sold can't replace itself; later adds to it can
+    if (fill.trade_id === sale.trade_id && fill.ms <= sale.ms) continue;
+
+    // A replacement bought earlier must still be held at the sale
+    const target = states.get(fill.trade_id);
+    if (fill.ms <= sale.ms && target.openSize === 0) continue;
+
+    const matched = Math.min(unmatched, candidate.available);
+    const disallowed = loss * (matched / sale.size);
+
+    candidate.available -= matched;
+    unmatched -= matched;
+    if (fill.ms <= sale.ms) {
+      target.washBasis += disallowed;
+      target.carriedDays = Math.max(target.carriedDays, heldDays);
+    } else {
+      const carried = pendingWash.get(fill.id) || { amount: 0, days: 0 };
+      pendingWash.set(fill.id, { amount: carried.amount + disallowed, days: Math.max(carried.days, heldDays) });
+    }
+
+    disposition.adjustment += disallowed;
+    disposition.washedInto.push(fill.trade_id);
+  }
+
+  if (disposition.adjustment > 0) {
+    disposition.adjustment = round(disposition.adjustment);
+    disposition.code = 'W';
+    disposition.gain = round(disposition.gain + disposition.adjustment);
+  }
+}
+
+class HorseyTax {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Every real trade with its fills, including trades that are still open:
+  // an open position can be the replacement that washes a closed loss
+  async loadTrades() {
+    const trades = await this.db.getTrades();
+    for (const trade of trades) {
+      trade.executions = await this.db.getExecutions(trade.id);
+    }
+    return trades;
+  }
+
+  // Form 8949 rows for dispositions closed in `year`, short-term first
+  async getReport(year, filters = {}) {
+    const dispositions = buildDispositions(await this.loadTrades());
+
+    let accountId = null;
+    if (filters.account) {
+      accountId = (await this.db.getAccount(filters.account)).id;
+    }
+
+    const rows = dispositions
+      .filter(d => d.closedAt.startsWith(`${year}-`))
+      .filter(d => accountId === null || d.accountId === accountId)
+      .sort((a, b) => (a.term === b.term ? 0 : a.term === 'short' ? -1 : 1) || a.closedAt.localeCompare(b.closedAt));
+
+    const summarize = (term) => {
+      const subset = rows.filter(r => r.term === term);
+      const sum = (field) => round(subset.reduce((total, r) => total + r[field], 0));
+      return {
+        count: subset.length,
+        proceeds: sum('proceeds'),
+        basis: sum('basis'),
+        adjustment: sum('adjustment'),
+        gain: sum('gain')
+      };
+    };
+
+    return {
+      year,
+      rows,
+      shortTerm: summarize('short'),
+      longTerm: summarize('long'),
+      washSales: rows.filter(r => r.code === 'W').length,
+      disallowed: round(rows.reduce((total, r) => total + r.adjustment, 0))
+    };
+  }
+
+  formatCsv(report) {
+    const escape = (value) => {
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [CSV_COLUMNS.join(',')];
+    report.rows.forEach(r => {
+      lines.push([
+        r.description,
+        formatFormDate(r.acquired),
+        formatFormDate(r.sold),
+        r.proceeds.toFixed(2),
+        r.basis.toFixed(2),
+        r.code,
+        r.adjustment ? r.adjustment.toFixed(2) : '',
+        r.gain.toFixed(2),
+        r.term === 'long' ? 'Long-term' : 'Short-term'
+      ].map(escape).join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = HorseyTax;
+module.exports.buildDispositions = buildDispositions;
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildDispositions } = require('../tax');
+
+let nextFillId = 1;
+
+function fill(tradeId, side, price, size, executedAt, fees = 0.5) {
+  return { id: nextFillId++, trade_id: tradeId, side, price, size, fees, executed_at: executedAt };
+}
+
+function trade(id, direction, executions, fields = {}) {
+  return { id, ticker: 'AAPL', direction, instrument: 'shares', is_credit: 0, account_id: 1, legs: [], executions, ...fields };
+}
+
+test('a loss washed into a later buy moves into its basis', () => {
+  const dispositions = buildDispositions([
+    trade(1, 'long', [fill(1, 'entry', 100, 10, '2026-03-02 15:00:00'), fill(1, 'exit', 90, 10, '2026-03-05 15:00:00')]),
+    trade(2, 'long', [fill(2, 'entry', 95, 10, '2026-03-18 15:00:00'), fill(2, 'exit', 100, 10, '2026-04-01 15:00:00')])
+  ]);
+
+  const [loss, replacement] = dispositions;
+  assert.strictEqual(loss.code, 'W');
+  assert.strictEqual(loss.adjustment, 101);
+  assert.strictEqual(loss.gain, 0);
+  assert.deepStrictEqual(loss.washedInto, [2]);
+
+  assert.strictEqual(replacement.basis, 1051.5);
+  assert.strictEqual(replacement.proceeds, 999.5);
+  assert.strictEqual(replacement.gain, -52);
+  assert.strictEqual(replacement.code, '');
+});
+
+test('a loss washed into a buy already held raises that basis', () => {
+  const dispositions = buildDispositions([
+    trade(1, 'long', [fill(1, 'entry', 95, 10, '2026-03-02 15:00:00'), fill(1, 'exit', 100, 10, '2026-04-10 15:00:00')]),
+    trade(2, 'long', [fill(2, 'entry', 100, 10, '2026-03-20 15:00:00'), fill(2, 'exit', 90, 10, '2026-03-25 15:00:00')])
+  ]);
+
+  const [loss, replacement] = dispositions;
+  assert.strictEqual(loss.tradeId, 2);
+  assert.strictEqual(loss.adjustment, 101);
+  assert.strictEqual(replacement.basis, 1051.5);
+});
+
+test('a buy outside the 30-day window does not wash the loss', () => {
+  const dispositions = buildDispositions([
+    trade(1, 'long', [fill(1, 'entry', 100, 10, '2026-03-02 15:00:00'), fill(1, 'exit', 90, 10, '2026-03-05 15:00:00')]),
+    trade(2, 'long', [fill(2, 'entry', 95, 10, '2026-04-06 15:00:00'), fill(2, 'exit', 100, 10, '2026-04-10 15:00:00')])
+  ]);
+
+  assert.strictEqual(dispositions[0].code, '');
+  assert.strictEqual(dispositions[0].gain, -101);
+  assert.strictEqual(dispositions[1].basis, 950.5);
+});
+
+test('only part of a loss is washed when the replacement is smaller', () => {
+  const dispositions = buildDispositions([
+    trade(1, 'long', [fill(1, 'entry', 100, 10, '2026-03-02 15:00:00'), fill(1, 'exit', 90, 10, '2026-03-05 15:00:00')]),
+    trade(2, 'long', [fill(2, 'entry', 95, 4, '2026-03-18 15:00:00'), fill(2, 'exit', 100, 4, '2026-04-01 15:00:00')])
+  ]);
+
+  assert.strictEqual(dispositions[0].adjustment, 40.4);
+  assert.strictEqual(dispositions[0].gain, -60.6);
+  assert.strictEqual(dispositions[1].basis, 380.5 + 40.4);
+});
+
+test('a washed lot tacks its holding period onto the replacement', () => {
+  const dispositions = buildDispositions([
+    trade(1, 'long', [fill(1, 'entry', 100, 10, '2025-01-02 15:00:00'), fill(1, 'exit', 90, 10, '2025-12-22 15:00:00')]),
+    trade(2, 'long', [fill(2, 'entry', 95, 10, '2026-01-05 15:00:00'), fill(2, 'exit', 100, 10, '2026-01-20 15:00:00')])
+  ]);
+
+  assert.strictEqual(dispositions[0].term, 'short');
+  assert.strictEqual(dispositions[1].term, 'long');
+  assert.strictEqual(dispositions[1].acquired, '2026-01-05');
+});
+
+test('a short sale is acquired at the cover and sold at the open', () => {
+  const [disposition] = buildDispositions([
+    trade(1, 'short', [fill(1, 'entry', 100, 10, '2026-03-02 15:00:00'), fill(1, 'exit', 90, 10, '2026-03-05 15:00:00')])
+  ]);
+
+  assert.strictEqual(disposition.acquired, '2026-03-05');
+  assert.strictEqual(disposition.sold, '2026-03-02');
+  assert.strictEqual(disposition.proceeds, 999.5);
+  assert.strictEqual(disposition.basis, 900.5);
+  assert.strictEqual(disposition.gain, 99);
+  assert.strictEqual(disposition.term, 'short');
+});